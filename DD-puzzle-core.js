@@ -0,0 +1,951 @@
+/**
+ * DUNGEON DELI - PUZZLE CORE (HEADLESS)
+ * Phaser-free sliding puzzle rules shared by every puzzle scene
+ *
+ * This file has NO Phaser dependency so the same rules can run in
+ * Node tests (tests/puzzle-core.test.js), FeedingPuzzleScene and
+ * CombatScene.
+ * GridManager (scene file) is only a renderer on top of a board from here.
+ *
+ * MODULES:
+ * - PuzzleBoard: Board state, legal moves, apply move, win detection
+ * - PuzzleSolver: IDA* shortest solutions (Manhattan + linear conflict)
+ * - ScrambleGenerator: Solvable scrambles with a target solution length
+ * - MoveHistory: Undo/redo stacks of player moves
+ * - SeededRandom: Reproducible random sources from a numeric seed
+ * - ReplayLog: Recorded puzzle sessions (start board, seed, timed moves)
+ *
+ * BOARD SHAPE:
+ * - size: Grid width/height (3 = 3x3)
+ * - grid: 2D array of tile ids, EMPTY (0) for holes
+ * - target: Flat array with the solved layout in reading order
+ * - moveCount: Player moves applied so far
+ *
+ * Any number of holes is allowed and every hole can be slid into.
+ * Tiles with the same id are interchangeable: a board is solved when
+ * every cell holds the right id, whichever copy of it that is.
+ * Moves are { row, col, to: { row, col } } (tile cell and destination hole).
+ */
+
+// =============================================================================
+// PUZZLE BOARD MODEL
+// =============================================================================
+
+/**
+ * PuzzleBoard - Pure puzzle-state functions
+ * Boards are plain objects so they can be cloned, saved or sent between scenes
+ */
+const PuzzleBoard = {
+    EMPTY: 0,
+
+    /**
+     * Build the solved layout for a grid
+     * Recipe mode fills cells in reading order from the sequence, the rest stay empty.
+     * Without a sequence the classic 1..N-1 layout is used (hole bottom-right).
+     *
+     * @param {number} gridSize - Size of grid (3 = 3x3)
+     * @param {array|null} sequence - Recipe ingredient sequence
+     * @returns {array} Flat solved layout
+     */
+    buildTarget: function(gridSize, sequence = null) {
+        const totalCells = gridSize * gridSize;
+        const target = [];
+
+        for (let index = 0; index < totalCells; index++) {
+            if (sequence) {
+                target.push(index < sequence.length ? sequence[index] : this.EMPTY);
+            } else {
+                target.push(index < totalCells - 1 ? index + 1 : this.EMPTY);
+            }
+        }
+
+        return target;
+    },
+
+    /**
+     * Create a board in its solved state
+     * @param {number} gridSize - Size of grid (3 = 3x3)
+     * @param {array|null} sequence - Recipe ingredient sequence (null = legacy 1..N-1)
+     * @returns {object} New board
+     */
+    create: function(gridSize = 3, sequence = null) {
+        const board = {
+            size: gridSize,
+            grid: [],
+            target: this.buildTarget(gridSize, sequence),
+            moveCount: 0
+        };
+
+        this.reset(board);
+        return board;
+    },
+
+    /**
+     * Put every tile back on its solved cell and clear the move count
+     * @param {object} board - Board to reset
+     */
+    reset: function(board) {
+        board.grid = [];
+        for (let row = 0; row < board.size; row++) {
+            board.grid[row] = board.target.slice(row * board.size, (row + 1) * board.size);
+        }
+
+        board.moveCount = 0;
+    },
+
+    /**
+     * Deep copy a board (grid rows are copied, target is shared read-only)
+     * @param {object} board - Board to copy
+     * @returns {object} Independent board
+     */
+    clone: function(board) {
+        return {
+            size: board.size,
+            grid: board.grid.map(row => [...row]),
+            target: board.target,
+            moveCount: board.moveCount
+        };
+    },
+
+    /**
+     * Get the tile id at a cell
+     * @returns {*} Tile id, EMPTY, or undefined when out of bounds
+     */
+    getTile: function(board, row, col) {
+        if (row < 0 || col < 0 || row >= board.size || col >= board.size) return undefined;
+        return board.grid[row][col];
+    },
+
+    /**
+     * List every hole on the board
+     * @param {object} board - Board to search
+     * @returns {array} Cells as { row, col } in reading order
+     */
+    getHoles: function(board) {
+        const holes = [];
+        board.grid.forEach((rowData, row) => {
+            rowData.forEach((tileId, col) => {
+                if (tileId === this.EMPTY) holes.push({ row, col });
+            });
+        });
+        return holes;
+    },
+
+    /**
+     * Holes orthogonally adjacent to a tile, in up/down/left/right order
+     * @returns {array} Cells as { row, col }
+     */
+    getAdjacentHoles: function(board, row, col) {
+        const tileId = this.getTile(board, row, col);
+        if (tileId === undefined || tileId === this.EMPTY) return [];
+
+        return [
+            { row: row - 1, col },
+            { row: row + 1, col },
+            { row, col: col - 1 },
+            { row, col: col + 1 }
+        ].filter(cell => this.getTile(board, cell.row, cell.col) === this.EMPTY);
+    },
+
+    /**
+     * Check if the tile at a cell can slide into a hole
+     * @param {object} to - Optional destination { row, col }; any adjacent hole if omitted
+     * @returns {boolean} True if the move is legal
+     */
+    canMove: function(board, row, col, to = null) {
+        const holes = this.getAdjacentHoles(board, row, col);
+        if (!to) return holes.length > 0;
+        return holes.some(hole => hole.row === to.row && hole.col === to.col);
+    },
+
+    /**
+     * List every legal move (one per tile/hole pair)
+     * @param {object} board - Board to inspect
+     * @returns {array} Moves as { row, col, to: { row, col } }
+     */
+    getLegalMoves: function(board) {
+        const moves = [];
+        board.grid.forEach((rowData, row) => {
+            rowData.forEach((tileId, col) => {
+                this.getAdjacentHoles(board, row, col).forEach(to => moves.push({ row, col, to }));
+            });
+        });
+        return moves;
+    },
+
+    /**
+     * The move that slides a tile one step in a direction (arrow keys, swipes)
+     * Holes are tried in reading order; the tile on the far side of a hole moves into it.
+     * @param {number} dRow - -1 up, 1 down, 0 sideways
+     * @param {number} dCol - -1 left, 1 right, 0 vertical
+     * @returns {object|null} Move { row, col, to } or null if no tile can move that way
+     */
+    getMoveInDirection: function(board, dRow, dCol) {
+        const hole = this.getHoles(board).find(cell => {
+            const tileId = this.getTile(board, cell.row - dRow, cell.col - dCol);
+            return tileId !== undefined && tileId !== this.EMPTY;
+        });
+        if (!hole) return null;
+
+        return { row: hole.row - dRow, col: hole.col - dCol, to: { row: hole.row, col: hole.col } };
+    },
+
+    /**
+     * Moves that shift a whole line of tiles toward the nearest hole in the
+     * tile's row or column (the clicked tile and every tile between it and the hole)
+     * @returns {array|null} Moves in play order (tile next to the hole first), or null if no hole is in line
+     */
+    getLineSlide: function(board, row, col) {
+        const tileId = this.getTile(board, row, col);
+        if (tileId === undefined || tileId === this.EMPTY) return null;
+
+        let best = null;
+        [[-1, 0], [1, 0], [0, -1], [0, 1]].forEach(([dRow, dCol]) => {
+            for (let step = 1; ; step++) {
+                const cell = this.getTile(board, row + dRow * step, col + dCol * step);
+                if (cell === undefined) return;
+                if (cell !== this.EMPTY) continue;
+
+                if (!best || step < best.distance) best = { dRow, dCol, distance: step };
+                return;
+            }
+        });
+        if (!best) return null;
+
+        const moves = [];
+        for (let step = best.distance - 1; step >= 0; step--) {
+            const from = { row: row + best.dRow * step, col: col + best.dCol * step };
+            moves.push({ row: from.row, col: from.col, to: { row: from.row + best.dRow, col: from.col + best.dCol } });
+        }
+        return moves;
+    },
+
+    /**
+     * Slide the tile at a cell into a hole
+     * A tile next to several holes goes to the first in up/down/left/right
+     * order unless a destination is given.
+     *
+     * @param {object} board - Board to mutate
+     * @param {number} row - Row of the tile to move
+     * @param {number} col - Column of the tile to move
+     * @param {boolean} countMove - Increment moveCount (false for shuffles)
+     * @param {object} to - Optional destination hole { row, col }
+     * @returns {object|null} { tileId, from, to } or null if the move is illegal
+     */
+    applyMove: function(board, row, col, countMove = true, to = null) {
+        if (!this.canMove(board, row, col, to)) return null;
+
+        const destination = to ? { row: to.row, col: to.col } : this.getAdjacentHoles(board, row, col)[0];
+        const tileId = board.grid[row][col];
+
+        board.grid[destination.row][destination.col] = tileId;
+        board.grid[row][col] = this.EMPTY;
+
+        if (countMove) {
+            board.moveCount++;
+        }
+
+        return { tileId, from: { row, col }, to: destination };
+    },
+
+    /**
+     * The move that undoes a move
+     * @param {object} move - { row, col, to } or an applyMove result { from, to }
+     * @returns {object} { row, col, to }
+     */
+    reverseMove: function(move) {
+        const from = move.from || { row: move.row, col: move.col };
+        return { row: move.to.row, col: move.to.col, to: { row: from.row, col: from.col } };
+    },
+
+    /**
+     * Check if every cell matches the solved layout
+     * @param {object} board - Board to check
+     * @returns {boolean} True if solved
+     */
+    isSolved: function(board) {
+        return board.grid.flat().every((tileId, index) => tileId === board.target[index]);
+    }
+};
+
+// =============================================================================
+// OPTIMAL SOLVER (IDA*)
+// =============================================================================
+
+/**
+ * PuzzleSolver - Finds shortest solutions for a board
+ * IDA* with a Manhattan distance + linear conflict heuristic, both admissible,
+ * so the first solution found is optimal. Works on a flat copy of the grid so the search never touches the real board.
+ * Searches give up after a node limit and return null, so callers must
+ * always have a fallback for boards too deep to solve in a frame;
+ * findSolution() tells that apart from a board with no solution in range.
+ */
+const PuzzleSolver = {
+    NODE_LIMIT: 500000,
+
+    /**
+     * Distance table per tile id: cost[cell] = Manhattan distance from cell
+     * to the nearest solved cell holding that id (admissible with duplicates)
+     * @param {object} board - Board whose target is used
+     * @returns {Map} tile id -> array of distances indexed by cell
+     */
+    buildCostTable: function(board) {
+        const size = board.size;
+        const goals = new Map();
+
+        board.target.forEach((tileId, cell) => {
+            if (tileId === PuzzleBoard.EMPTY) return;
+            if (!goals.has(tileId)) goals.set(tileId, []);
+            goals.get(tileId).push(cell);
+        });
+
+        const costs = new Map();
+        goals.forEach((goalCells, tileId) => {
+            const cost = [];
+            for (let cell = 0; cell < size * size; cell++) {
+                const row = Math.floor(cell / size);
+                const col = cell % size;
+                cost[cell] = Math.min(...goalCells.map(goal =>
+                    Math.abs(row - Math.floor(goal / size)) + Math.abs(col - goal % size)));
+            }
+            costs.set(tileId, cost);
+        });
+
+        return costs;
+    },
+
+    /**
+     * Solved cell of every tile id that appears exactly once in the target
+     * Linear conflict only applies to these; duplicates have no fixed goal
+     * @param {object} board - Board whose target is used
+     * @returns {Map} tile id -> goal cell
+     */
+    buildUniqueGoals: function(board) {
+        const goals = new Map();
+        const seen = new Set();
+
+        board.target.forEach((tileId, cell) => {
+            if (tileId === PuzzleBoard.EMPTY) return;
+            if (seen.has(tileId)) {
+                goals.delete(tileId);
+            } else {
+                seen.add(tileId);
+                goals.set(tileId, cell);
+            }
+        });
+
+        return goals;
+    },
+
+    /**
+     * Rows then columns as lists of cells: lines[row], lines[size + col]
+     * @param {number} size - Grid size
+     * @returns {array} Line index -> cells in line order
+     */
+    buildLines: function(size) {
+        const lines = [];
+        for (let index = 0; index < size; index++) {
+            lines[index] = [];
+            lines[size + index] = [];
+            for (let offset = 0; offset < size; offset++) {
+                lines[index].push(index * size + offset);
+                lines[size + index].push(offset * size + index);
+            }
+        }
+        return lines;
+    },
+
+    /**
+     * Linear-conflict penalty for one row or column
+     * Tiles sitting in their goal line in the wrong order cannot pass each other,
+     * so every tile outside the longest correctly ordered run must leave the
+     * line and come back: 2 extra moves each on top of Manhattan distance.
+     *
+     * @param {array} cells - Flat grid
+     * @param {number} line - Line index (rows first, then columns)
+     * @param {array} lineCells - Cells of that line in order
+     * @param {Map} uniqueGoals - From buildUniqueGoals
+     * @param {number} size - Grid size
+     * @returns {number} Extra moves
+     */
+    lineConflict: function(cells, line, lineCells, uniqueGoals, size) {
+        const isRow = line < size;
+        const lineIndex = isRow ? line : line - size;
+        const order = [];
+
+        lineCells.forEach(cell => {
+            const goal = uniqueGoals.get(cells[cell]);
+            if (goal === undefined) return;
+
+            const goalLine = isRow ? Math.floor(goal / size) : goal % size;
+            if (goalLine === lineIndex) {
+                order.push(isRow ? goal % size : Math.floor(goal / size));
+            }
+        });
+
+        if (order.length < 2) return 0;
+
+        // Longest increasing run (lines are at most a handful of cells)
+        const runs = [];
+        let longest = 0;
+        order.forEach((value, i) => {
+            runs[i] = 1;
+            for (let j = 0; j < i; j++) {
+                if (order[j] < value) runs[i] = Math.max(runs[i], runs[j] + 1);
+            }
+            longest = Math.max(longest, runs[i]);
+        });
+
+        return 2 * (order.length - longest);
+    },
+
+    /**
+     * Orthogonal neighbour cells for every cell of a grid
+     * @param {number} size - Grid size
+     * @returns {array} cell -> array of neighbour cells
+     */
+    buildNeighbours: function(size) {
+        const neighbours = [];
+        for (let cell = 0; cell < size * size; cell++) {
+            const row = Math.floor(cell / size);
+            const col = cell % size;
+            neighbours[cell] = [];
+            if (row > 0) neighbours[cell].push(cell - size);
+            if (row < size - 1) neighbours[cell].push(cell + size);
+            if (col > 0) neighbours[cell].push(cell - 1);
+            if (col < size - 1) neighbours[cell].push(cell + 1);
+        }
+        return neighbours;
+    },
+
+    /**
+     * Find a shortest sequence of moves that solves the board
+     * @param {object} board - Board to solve (not mutated)
+     * @param {object} options - { maxDepth, nodeLimit }
+     * @returns {array|null} Moves { row, col, to } in order, or null if
+     *   no solution was found within maxDepth / nodeLimit
+     */
+    solve: function(board, options = {}) {
+        return this.findSolution(board, options).moves;
+    },
+
+    /**
+     * solve() that also says why it came back empty-handed
+     * @param {object} board - Board to solve (not mutated)
+     * @param {object} options - { maxDepth, nodeLimit } as for solve()
+     * @returns {object} { moves, reason } - moves as for solve(); reason is null
+     *   when moves were found, 'noSolution' when none fit within maxDepth, or
+     *   'nodeLimit' when the search gave up before finding out
+     */
+    findSolution: function(board, options = {}) {
+        const EMPTY = PuzzleBoard.EMPTY;
+        const size = board.size;
+        const maxDepth = options.maxDepth !== undefined ? options.maxDepth : Infinity;
+        const nodeLimit = options.nodeLimit || this.NODE_LIMIT;
+
+        const cells = board.grid.flat();
+        const costs = this.buildCostTable(board);
+        const uniqueGoals = this.buildUniqueGoals(board);
+        const neighbours = this.buildNeighbours(size);
+        const lines = this.buildLines(size);
+        const holes = [];
+        cells.forEach((tileId, cell) => {
+            if (tileId === EMPTY) holes.push(cell);
+        });
+
+        // Heuristic = Manhattan distance + linear conflicts, both kept incrementally
+        let startDistance = 0;
+        cells.forEach((tileId, cell) => {
+            if (tileId !== EMPTY) startDistance += costs.get(tileId)[cell];
+        });
+
+        const conflicts = lines.map((lineCells, line) =>
+            this.lineConflict(cells, line, lineCells, uniqueGoals, size));
+        const startConflict = conflicts.reduce((sum, value) => sum + value, 0);
+
+        const FOUND = -1;
+        const path = [];
+        let nodes = 0;
+        let aborted = false;
+
+        // Depth-first search bounded by f = g + h
+        const search = (g, bound, distance, conflict, prevFrom, prevTo) => {
+            const f = g + distance + conflict;
+            if (f > bound) return f;
+            if (distance === 0) return FOUND;
+            if (++nodes > nodeLimit) {
+                aborted = true;
+                return Infinity;
+            }
+
+            let min = Infinity;
+            for (let holeIndex = 0; holeIndex < holes.length; holeIndex++) {
+                const hole = holes[holeIndex];
+
+                for (const cell of neighbours[hole]) {
+                    // Never slide the tile we just moved straight back
+                    if (cell === prevTo && hole === prevFrom) continue;
+
+                    // Moves on disjoint cells commute (multi-hole boards): only try them in one order
+                    if (cell !== prevFrom && cell !== prevTo && hole !== prevFrom && hole !== prevTo &&
+                        cell * cells.length + hole < prevFrom * cells.length + prevTo) continue;
+
+                    const tileId = cells[cell];
+                    if (tileId === EMPTY) continue;
+
+                    const cost = costs.get(tileId);
+                    cells[hole] = tileId;
+                    cells[cell] = EMPTY;
+                    holes[holeIndex] = cell;
+                    path.push([cell, hole]);
+
+                    // A horizontal slide only changes the two columns involved, a vertical one the two rows
+                    const horizontal = Math.floor(cell / size) === Math.floor(hole / size);
+                    const lineFrom = horizontal ? size + cell % size : Math.floor(cell / size);
+                    const lineTo = horizontal ? size + hole % size : Math.floor(hole / size);
+                    const previousFrom = conflicts[lineFrom];
+                    const previousTo = conflicts[lineTo];
+                    conflicts[lineFrom] = this.lineConflict(cells, lineFrom, lines[lineFrom], uniqueGoals, size);
+                    conflicts[lineTo] = this.lineConflict(cells, lineTo, lines[lineTo], uniqueGoals, size);
+                    const nextConflict = conflict - previousFrom - previousTo + conflicts[lineFrom] + conflicts[lineTo];
+
+                    const result = search(g + 1, bound, distance - cost[cell] + cost[hole], nextConflict, cell, hole);
+                    if (result === FOUND) return FOUND;
+
+                    conflicts[lineFrom] = previousFrom;
+                    conflicts[lineTo] = previousTo;
+                    path.pop();
+                    holes[holeIndex] = hole;
+                    cells[cell] = tileId;
+                    cells[hole] = EMPTY;
+
+                    if (result < min) min = result;
+                    if (aborted) return Infinity;
+                }
+            }
+            return min;
+        };
+
+        let bound = startDistance + startConflict;
+        while (bound <= maxDepth) {
+            const result = search(0, bound, startDistance, startConflict, -1, -1);
+            if (result === FOUND) {
+                const moves = path.map(([from, to]) => ({
+                    row: Math.floor(from / size),
+                    col: from % size,
+                    to: { row: Math.floor(to / size), col: to % size }
+                }));
+                return { moves: moves, reason: null };
+            }
+            if (aborted) return { moves: null, reason: 'nodeLimit' };
+            if (result === Infinity) break;
+            bound = result;
+        }
+
+        return { moves: null, reason: 'noSolution' };
+    },
+
+    /**
+     * Best next move, used by the hint button
+     * @param {object} board - Board to solve (not mutated)
+     * @param {object} options - { maxDepth, nodeLimit } as for solve()
+     * @returns {object|null} Move { row, col, to }, or null if the board is
+     *   solved or no solution fits the limits
+     */
+    getNextMove: function(board, options = {}) {
+        const solution = this.solve(board, options);
+        return solution && solution.length > 0 ? solution[0] : null;
+    }
+};
+
+// =============================================================================
+// SCRAMBLE GENERATOR
+// =============================================================================
+
+/**
+ * ScrambleGenerator - Builds scrambles with a known optimal solution length
+ * Every scramble is reached by legal moves from the solved board, so it is
+ * always solvable. The returned path is an optimal route from solved to the
+ * scramble, which the shuffle animation plays back.
+ */
+const ScrambleGenerator = {
+    ATTEMPTS: 12,
+
+    /**
+     * Random walk with no immediate backtracking
+     * @param {object} board - Board to mutate
+     * @param {number} length - Number of moves
+     * @param {function} rng - Random source returning [0, 1)
+     * @returns {array} Moves { row, col, to } in order
+     */
+    randomWalk: function(board, length, rng = Math.random) {
+        const path = [];
+        let undo = null;
+
+        for (let step = 0; step < length; step++) {
+            let moves = PuzzleBoard.getLegalMoves(board);
+
+            if (undo && moves.length > 1) {
+                moves = moves.filter(move => move.row !== undo.row || move.col !== undo.col ||
+                    move.to.row !== undo.to.row || move.to.col !== undo.to.col);
+            }
+            if (moves.length === 0) break;
+
+            const move = moves[Math.floor(rng() * moves.length)];
+            PuzzleBoard.applyMove(board, move.row, move.col, false, move.to);
+            undo = PuzzleBoard.reverseMove(move);
+            path.push(move);
+        }
+
+        return path;
+    },
+
+    /**
+     * Generate a scramble whose optimal solution length is in [minDepth, maxDepth]
+     * If the board cannot reach minDepth (tiny recipes), the deepest scramble found
+     * is used. If the solver cannot confirm any scramble, an unmeasured random walk
+     * is returned with optimalMoves = null.
+     *
+     * @param {object} board - Board defining size and target (not mutated)
+     * @param {object} options - { minDepth, maxDepth, rng, fallbackLength, nodeLimit }
+     * @returns {object} { board, path, optimalMoves }
+     */
+    generate: function(board, options = {}) {
+        const rng = options.rng || Math.random;
+        const maxDepth = Math.max(1, options.maxDepth || 20);
+        const minDepth = Math.min(options.minDepth || 1, maxDepth);
+
+        const solved = PuzzleBoard.clone(board);
+        PuzzleBoard.reset(solved);
+
+        let best = null;
+        let walkLength = maxDepth + 2;
+
+        for (let attempt = 0; attempt < this.ATTEMPTS; attempt++) {
+            const scrambled = PuzzleBoard.clone(solved);
+            this.randomWalk(scrambled, walkLength, rng);
+
+            const solution = PuzzleSolver.solve(scrambled, { nodeLimit: options.nodeLimit });
+            if (!solution) {
+                // Too deep for the solver budget: try a shorter walk
+                walkLength = Math.max(minDepth, Math.floor(walkLength * 0.75));
+                continue;
+            }
+
+            if (solution.length >= minDepth) {
+                // Every state on an optimal path is exactly (remaining moves) from solved,
+                // so stepping along the solution lands on any depth we want
+                const targetDepth = Math.min(solution.length,
+                    minDepth + Math.floor(rng() * (maxDepth - minDepth + 1)));
+                return this.buildResult(scrambled, solution, solution.length - targetDepth);
+            }
+
+            if (!best || solution.length > best.optimalMoves) {
+                best = this.buildResult(scrambled, solution, 0);
+            }
+            walkLength = Math.ceil(walkLength * 1.5);
+        }
+
+        if (best) return best;
+
+        const fallback = PuzzleBoard.clone(solved);
+        const path = this.randomWalk(fallback, options.fallbackLength || maxDepth, rng);
+        return { board: fallback, path, optimalMoves: null };
+    },
+
+    /**
+     * Skip into an optimal solution and build the solved -> scramble path
+     * @param {object} scrambled - Board the solution starts from
+     * @param {array} solution - Optimal solution moves
+     * @param {number} skip - Solution moves to apply before the scramble point
+     * @returns {object} { board, path, optimalMoves }
+     */
+    buildResult: function(scrambled, solution, skip) {
+        const board = PuzzleBoard.clone(scrambled);
+        solution.slice(0, skip).forEach(move => PuzzleBoard.applyMove(board, move.row, move.col, false, move.to));
+
+        // The remaining solution undone in reverse order leads from solved to board
+        const path = solution.slice(skip).reverse().map(move => PuzzleBoard.reverseMove(move));
+
+        return { board, path, optimalMoves: solution.length - skip };
+    }
+};
+
+// =============================================================================
+// MOVE HISTORY (UNDO / REDO)
+// =============================================================================
+
+/**
+ * MoveHistory - Undo and redo stacks for one puzzle session
+ * Each entry is one player action { moves, counted }: moves are applyMove
+ * results { tileId, from, to } (several for a line slide) and counted is how
+ * many of them added to moveCount. Undo and redo take a whole entry at once.
+ * Like boards, histories are plain objects; these functions only decide which
+ * moves to apply next, the caller applies them to the board (and animates them).
+ */
+const MoveHistory = {
+    /**
+     * @returns {object} { done, undone, undos, redos }
+     */
+    create: function() {
+        return { done: [], undone: [], undos: 0, redos: 0 };
+    },
+
+    /**
+     * Remember a new player action (this drops anything that could be redone)
+     * @param {object|array} moves - applyMove result, or the results of one line slide in play order
+     * @param {number} counted - Moves it added to moveCount (omitted = one per move)
+     */
+    record: function(history, moves, counted = null) {
+        const list = Array.isArray(moves) ? moves : [moves];
+        history.done.push({
+            moves: list.map(move => ({ tileId: move.tileId, from: { ...move.from }, to: { ...move.to } })),
+            counted: counted === null ? list.length : counted
+        });
+        history.undone = [];
+    },
+
+    canUndo: function(history) {
+        return history.done.length > 0;
+    },
+
+    canRedo: function(history) {
+        return history.undone.length > 0;
+    },
+
+    /**
+     * Take back the last action
+     * @returns {object|null} { moves, counted } - moves { row, col, to } that restore
+     *   the board, in the order to apply them; null if there is nothing to undo
+     */
+    undo: function(history) {
+        const entry = history.done.pop();
+        if (!entry) return null;
+
+        history.undone.push(entry);
+        history.undos++;
+        return {
+            moves: entry.moves.slice().reverse().map(move => PuzzleBoard.reverseMove(move)),
+            counted: entry.counted
+        };
+    },
+
+    /**
+     * Play the last undone action again
+     * @returns {object|null} { moves, counted } - moves { row, col, to } in play order, or null
+     */
+    redo: function(history) {
+        const entry = history.undone.pop();
+        if (!entry) return null;
+
+        history.done.push(entry);
+        history.redos++;
+        return {
+            moves: entry.moves.map(move => ({ row: move.from.row, col: move.from.col, to: { ...move.to } })),
+            counted: entry.counted
+        };
+    },
+
+    /**
+     * Compact summary for a results screen
+     * @returns {object} { moves, undos, redos, path } - path = moves still on the board
+     */
+    getSummary: function(history) {
+        const path = [].concat(...history.done.map(entry => entry.moves))
+            .map(move => ({ row: move.from.row, col: move.from.col, to: { ...move.to } }));
+        return {
+            moves: path.length,
+            undos: history.undos,
+            redos: history.redos,
+            path: path
+        };
+    }
+};
+
+// =============================================================================
+// SEEDED RANDOM
+// =============================================================================
+
+/**
+ * SeededRandom - Random sources that replay the same numbers for the same seed
+ * Anything taking an rng (ScrambleGenerator, randomWalk) accepts one of these
+ * in place of Math.random, so a seed is enough to rebuild a scramble.
+ */
+const SeededRandom = {
+    /**
+     * Fresh 32-bit seed
+     * @returns {number} Unsigned integer
+     */
+    randomSeed: function() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    },
+
+    /**
+     * Seed from text (FNV-1a), e.g. a date for puzzles everyone shares
+     * @param {string} text - Any string
+     * @returns {number} Unsigned integer
+     */
+    seedFromString: function(text) {
+        let hash = 0x811C9DC5;
+        for (let index = 0; index < text.length; index++) {
+            hash ^= text.charCodeAt(index);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Create a random source (mulberry32)
+     * @param {number} seed - Any integer (truncated to 32 bits)
+     * @returns {function} Returns [0, 1) like Math.random
+     */
+    create: function(seed) {
+        let state = seed >>> 0;
+
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        };
+    }
+};
+
+// =============================================================================
+// REPLAY LOG
+// =============================================================================
+
+/**
+ * ReplayLog - One recorded puzzle session, small enough to paste into a bug report
+ *
+ * REPLAY SHAPE (plain JSON):
+ * { v, recipeId, seed, size, target, start, par, maxMoves, recordedAt, result, moves }
+ * - target/start: Flat solved layout and flat scrambled grid in reading order
+ * - moves: [ms, row, col, toRow, toCol] per slide, ms since the puzzle started;
+ *   undo and redo slides carry a sixth entry 'u' or 'r'
+ * - result: 'win', 'fail' or null while recording
+ */
+const ReplayLog = {
+    VERSION: 1,
+    KINDS: ['move', 'undo', 'redo'],
+
+    /**
+     * Start a replay from a scrambled board
+     * @param {object} board - Board as the player first sees it
+     * @param {object} info - { recipeId, seed, par, maxMoves }
+     * @returns {object} Replay
+     */
+    create: function(board, info = {}) {
+        return {
+            v: this.VERSION,
+            recipeId: info.recipeId || null,
+            seed: info.seed === undefined ? null : info.seed,
+            size: board.size,
+            target: board.target.slice(),
+            start: [].concat(...board.grid),
+            par: info.par || null,
+            maxMoves: info.maxMoves || null,
+            recordedAt: Date.now(),
+            result: null,
+            moves: []
+        };
+    },
+
+    /**
+     * Append a slide
+     * @param {object} move - { row, col, to } (or an applyMove result with from/to)
+     * @param {number} time - Milliseconds since the puzzle started
+     * @param {string} kind - 'move', 'undo' or 'redo'
+     */
+    record: function(replay, move, time, kind = 'move') {
+        const from = move.from || move;
+        const entry = [Math.max(0, Math.round(time)), from.row, from.col, move.to.row, move.to.col];
+        if (kind !== 'move') entry.push(kind[0]);
+        replay.moves.push(entry);
+    },
+
+    /**
+     * Read a recorded slide back
+     * @returns {object} { time, row, col, to, kind }
+     */
+    getMove: function(replay, index) {
+        const entry = replay.moves[index];
+        if (!entry) return null;
+
+        const kind = this.KINDS.find(name => name[0] === entry[5]) || 'move';
+        return { time: entry[0], row: entry[1], col: entry[2], to: { row: entry[3], col: entry[4] }, kind: kind };
+    },
+
+    /**
+     * Rebuild the recorded start board
+     * @returns {object} PuzzleBoard board
+     */
+    buildBoard: function(replay) {
+        const board = { size: replay.size, grid: [], target: replay.target.slice(), moveCount: 0 };
+        for (let row = 0; row < replay.size; row++) {
+            board.grid[row] = replay.start.slice(row * replay.size, (row + 1) * replay.size);
+        }
+        return board;
+    },
+
+    /**
+     * Compact JSON for export
+     * @returns {string}
+     */
+    toJSON: function(replay) {
+        return JSON.stringify(replay);
+    },
+
+    /**
+     * Check the shape of one recorded slide: [ms, row, col, toRow, toCol(, 'u'|'r')]
+     * @param {*} entry - Item of replay.moves
+     * @param {number} size - Board size (cells must be on the board)
+     * @returns {boolean} True if well-formed
+     */
+    isValidEntry: function(entry, size) {
+        if (!Array.isArray(entry) || (entry.length !== 5 && entry.length !== 6)) return false;
+        if (!Number.isInteger(entry[0]) || entry[0] < 0) return false;
+
+        for (let index = 1; index <= 4; index++) {
+            if (!Number.isInteger(entry[index]) || entry[index] < 0 || entry[index] >= size) return false;
+        }
+        return entry.length === 5 || entry[5] === 'u' || entry[5] === 'r';
+    },
+
+    /**
+     * Parse exported JSON, checking that every slide is well-formed and legal from the start board
+     * @param {string} text - ReplayLog.toJSON() output
+     * @returns {object|null} Replay, or null if the text is not a playable replay
+     */
+    fromJSON: function(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+
+        if (!replay || typeof replay !== 'object' || replay.v !== this.VERSION ||
+            !Number.isInteger(replay.size) || replay.size < 1 || !Array.isArray(replay.moves) ||
+            !Array.isArray(replay.target) || !Array.isArray(replay.start) ||
+            replay.start.length !== replay.size * replay.size || replay.target.length !== replay.start.length) {
+            return null;
+        }
+
+        const board = this.buildBoard(replay);
+        for (let index = 0; index < replay.moves.length; index++) {
+            if (!this.isValidEntry(replay.moves[index], replay.size)) return null;
+
+            const move = this.getMove(replay, index);
+            if (!PuzzleBoard.applyMove(board, move.row, move.col, false, move.to)) return null;
+        }
+
+        return replay;
+    }
+};
+
+// Node export for headless tests (browsers use the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PuzzleBoard, PuzzleSolver, ScrambleGenerator, MoveHistory, SeededRandom, ReplayLog };
+}
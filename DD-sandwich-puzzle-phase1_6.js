@@ -4,15 +4,17 @@
  * 
  * ARCHITECTURE:
  * - Modular shared systems (GridManager, ShuffleSystem, RecipeSystem)
+ * - Headless PuzzleBoard rules in DD-puzzle-core.js (no Phaser dependency)
  * - GameState for cross-scene communication
- * - Event hooks for puzzle completion/failure
+ * - GameEvents bus (puzzle, tile, recipe and state events)
+ * - Phaser Scene classes (Boot, Title, Settings, RecipeSelect, FeedingPuzzle, Dungeon, Combat, Shop, DeliCounter, Results, Replay)
  * - Scene transition utilities
  * - Complete recipe metadata with difficulty tuning
  * 
  * FEATURES PRESERVED:
  * - All Phase 1.5 recipe system functionality
  * - Enhanced shuffle with no-backtracking and hybrid
- * - Move-based rating and fail conditions
+ * - Move-based rating and fail conditions (plus timed and relaxed GameModes)
  * - Recipe UI display and animations
  * 
  * NEW IN PHASE 1.6:
@@ -41,31 +43,234 @@ const GameState = {
     currentRecipe: null,         // Active recipe being built
     lastResult: null,            // 'win', 'fail', or null
     completedRecipes: [],        // Array of completed recipe IDs
+    bestRatings: {},             // Recipe ID -> best star count (0-3)
     
     // Pet stats (Phase 3 integration)
     petStats: {
         hp: 100,                 // Health points
         maxHp: 100,              // Maximum health
-        hunger: 100,             // Hunger level (0-100)
+        hunger: 100,             // Fullness (100 = fed, 0 = starving; see PetSystem)
         attack: 10,              // Attack stat
         defense: 10,             // Defense stat
         stamina: 100             // Stamina/energy
     },
     
-    // Dungeon progress (Phase 4 integration)
+    // Temporary stat bonuses from recipes (see BuffSystem)
+    activeBuffs: [],             // { source, stat, amount, unit, remaining }
+    
+    // Dungeon progress (see DungeonSystem)
     floor: 1,                    // Current dungeon floor
+    deepestFloor: 1,             // Best floor reached in any run
+    run: null,                   // Active run { map, row, path } or null
+    lastRun: null,               // { floor, reason, goldLost } of the last finished run
     gold: 0,                     // Currency
-    inventory: [],               // Collected items
+    inventory: [                 // Item stacks { id, count } (see InventorySystem)
+        { id: 'bread_top', count: 4 },       // Starter pantry for the first few recipes
+        { id: 'bread_bottom', count: 4 },
+        { id: 'lettuce', count: 3 },
+        { id: 'tomato', count: 3 },
+        { id: 'cheese', count: 2 },
+        { id: 'patty', count: 2 },
+        { id: 'onion', count: 1 },
+        { id: 'pickle', count: 1 },
+        { id: 'hint_token', count: 2 },
+        { id: 'undo_charge', count: 3 }
+    ],
     
     // Session data
     totalMoves: 0,               // Lifetime move counter
     puzzlesCompleted: 0,         // Total puzzles solved
     puzzlesFailed: 0,            // Total puzzles failed
     
+    // Daily Special (see DailySpecial)
+    daily: null,                 // Best result today { date, stars, moves } or null
+    
     // Debug
     debugMode: false             // Enable debug features
 };
 
+// =============================================================================
+// RANDOM SERVICE
+// =============================================================================
+
+/**
+ * GameRandom - Seeded source for all gameplay randomness (SeededRandom streams)
+ * 
+ * - GameRandom.random stands in for Math.random (dungeon maps, loot, combat tiles)
+ * - Each puzzle draws its own seed from this stream (scene.shuffleSeed) and the
+ *   shuffle uses only that puzzle's stream, so one seed rebuilds the scramble
+ *   and its animation no matter what was rolled before it
+ * - GAME_CONFIG.RANDOM_SEED fixes the session seed to reproduce a whole session
+ */
+const GameRandom = {
+    sessionSeed: null,
+    source: null,
+    
+    /**
+     * Start the session stream
+     * @param {number|null} seed - null = fresh seed
+     */
+    init: function(seed = GAME_CONFIG.RANDOM_SEED) {
+        this.sessionSeed = (seed === null || seed === undefined ? SeededRandom.randomSeed() : seed) >>> 0;
+        this.source = SeededRandom.create(this.sessionSeed);
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[GameRandom] Session seed:', this.sessionSeed);
+        }
+    },
+    
+    /**
+     * Next number in [0, 1) - safe to pass around detached, like Math.random
+     */
+    random: function() {
+        if (!GameRandom.source) GameRandom.init();
+        return GameRandom.source();
+    },
+    
+    /**
+     * Seed for a new puzzle
+     * @returns {number} Unsigned integer
+     */
+    nextSeed: function() {
+        return Math.floor(this.random() * 0x100000000) >>> 0;
+    }
+};
+
+// =============================================================================
+// INGREDIENT REGISTRY
+// =============================================================================
+
+/**
+ * Ingredient definitions
+ * Recipes reference ingredients by string id, never by position.
+ * 
+ * FIELDS:
+ * - id: Unique string id used in recipe sequences
+ * - name: Display name on tiles and recipe cards
+ * - color: Tile color
+ * - sprite: Optional texture key drawn on the tile when loaded (null = color only)
+ * - rarity: 'common', 'uncommon' or 'rare'
+ * - tags: Categories such as 'bread', 'veggie', 'meat', 'dairy'
+ * - nutrition: Optional hunger restored when fed (default from tags, see PetSystem)
+ */
+const INGREDIENTS = [
+    { id: 'bread_top',    name: 'Bread Top',    color: 0xF4D03F, sprite: null, rarity: 'common',   tags: ['bread'] },
+    { id: 'lettuce',      name: 'Lettuce',      color: 0x2ECC71, sprite: null, rarity: 'common',   tags: ['veggie'] },
+    { id: 'tomato',       name: 'Tomato',       color: 0xE74C3C, sprite: null, rarity: 'common',   tags: ['veggie'] },
+    { id: 'cheese',       name: 'Cheese',       color: 0xF39C12, sprite: null, rarity: 'uncommon', tags: ['dairy'] },
+    { id: 'patty',        name: 'Patty',        color: 0x8B4513, sprite: null, rarity: 'uncommon', tags: ['meat'] },
+    { id: 'onion',        name: 'Onion',        color: 0xE8DAEF, sprite: null, rarity: 'common',   tags: ['veggie'] },
+    { id: 'pickle',       name: 'Pickle',       color: 0x27AE60, sprite: null, rarity: 'rare',     tags: ['veggie'] },
+    { id: 'bread_bottom', name: 'Bread Bottom', color: 0xD4A574, sprite: null, rarity: 'common',   tags: ['bread'] }
+];
+
+/**
+ * IngredientRegistry - Lookup and registration of ingredients
+ * GridManager, the recipe UI and recipe validation all read from here
+ */
+const IngredientRegistry = {
+    RARITIES: ['common', 'uncommon', 'rare'],
+    
+    /**
+     * Get ingredient by ID
+     * @param {string} ingredientId - Ingredient identifier
+     * @returns {object|null} Ingredient definition or null if not found
+     */
+    get: function(ingredientId) {
+        return INGREDIENTS.find(i => i.id === ingredientId) || null;
+    },
+    
+    /**
+     * Check if an ingredient id is registered
+     * @param {string} ingredientId - Ingredient identifier
+     * @returns {boolean} True if registered
+     */
+    has: function(ingredientId) {
+        return this.get(ingredientId) !== null;
+    },
+    
+    /**
+     * Get all ingredients
+     * @returns {array} All registered ingredients
+     */
+    getAll: function() {
+        return [...INGREDIENTS]; // Return copy to prevent mutation
+    },
+    
+    /**
+     * Get ingredients with a tag
+     * @param {string} tag - e.g. 'veggie', 'meat', 'bread'
+     * @returns {array} Matching ingredients
+     */
+    getByTag: function(tag) {
+        return INGREDIENTS.filter(i => i.tags.includes(tag));
+    },
+    
+    /**
+     * Display name for an ingredient id (falls back to the id itself)
+     */
+    getName: function(ingredientId) {
+        const ingredient = this.get(ingredientId);
+        return ingredient ? ingredient.name : String(ingredientId);
+    },
+    
+    /**
+     * Check an ingredient definition
+     * @param {object} ingredient - Definition to check
+     * @returns {array} Human-readable problems (empty if valid)
+     */
+    getIngredientErrors: function(ingredient) {
+        if (!ingredient || typeof ingredient !== 'object' || Array.isArray(ingredient)) {
+            return ['ingredient must be an object'];
+        }
+        
+        const errors = [];
+        if (typeof ingredient.id !== 'string' || ingredient.id.trim() === '') {
+            errors.push('"id" must be a non-empty string');
+        } else if (this.has(ingredient.id)) {
+            errors.push(`id "${ingredient.id}" is already registered`);
+        }
+        if (typeof ingredient.name !== 'string' || ingredient.name.trim() === '') {
+            errors.push('"name" must be a non-empty string');
+        }
+        if (!Number.isInteger(ingredient.color) || ingredient.color < 0 || ingredient.color > 0xFFFFFF) {
+            errors.push('"color" must be an RGB integer (e.g. 0xF4D03F, or 16045119 in JSON)');
+        }
+        if (ingredient.sprite !== undefined && ingredient.sprite !== null && typeof ingredient.sprite !== 'string') {
+            errors.push('"sprite" must be a texture key string or null');
+        }
+        if (ingredient.rarity !== undefined && !this.RARITIES.includes(ingredient.rarity)) {
+            errors.push(`"rarity" must be one of ${this.RARITIES.join(', ')}`);
+        }
+        if (ingredient.tags !== undefined &&
+            (!Array.isArray(ingredient.tags) || ingredient.tags.some(tag => typeof tag !== 'string'))) {
+            errors.push('"tags" must be an array of strings');
+        }
+        if (ingredient.nutrition !== undefined && (!Number.isInteger(ingredient.nutrition) || ingredient.nutrition < 0)) {
+            errors.push('"nutrition" must be a non-negative integer');
+        }
+        return errors;
+    },
+    
+    /**
+     * Register a new ingredient (missing optional fields get defaults)
+     * @param {object} ingredient - Definition to add
+     * @returns {array} Problems that prevented registration (empty on success)
+     */
+    register: function(ingredient) {
+        const errors = this.getIngredientErrors(ingredient);
+        if (errors.length > 0) return errors;
+        
+        INGREDIENTS.push({
+            sprite: null,
+            rarity: 'common',
+            tags: [],
+            ...ingredient
+        });
+        return errors;
+    }
+};
+
 // =============================================================================
 // PHASE 1.6: RECIPE DATA STRUCTURE (ENHANCED WITH METADATA)
 // =============================================================================
@@ -76,29 +281,47 @@ const GameState = {
  * 
  * NEW FIELDS:
  * - difficulty: 'Easy', 'Medium', 'Hard' (visual indicator)
- * - gridSize: Custom grid size for this recipe (default 3)
- * - optimalMoves: 3-star rating threshold
+ * - gridSize: Custom grid size for this recipe (default 3, up to 5)
+ * - optimalMoves: 3-star cap (fallback threshold if par is unknown)
  * - maxMoves: Fail condition threshold
+ * - timeLimit: Optional Time Attack countdown in seconds
+ *     (default GAME_CONFIG.TIME_ATTACK_SECONDS by difficulty)
+ * - buff: Pet stat bonuses at 3 stars (see BuffSystem; 'health' is accepted for 'hp')
+ * - buffDuration: Optional { unit: 'puzzles' | 'floors' | 'turns', count }
+ *     for attack/defense/maxHp bonuses (default GAME_CONFIG.DEFAULT_BUFF_DURATION)
+ * - unlock: Optional requirements, all must be met (omitted = always unlocked)
+ *     { recipes: ['recipe_id', ...], floor: 2, stars: 6 }
+ *     recipes = completed recipe IDs, floor = deepest dungeon floor reached
+ *     in any run, stars = total best stars across all recipes
  * 
  * If fields are missing, fallback defaults apply via applyRecipeConfig()
+ * Sequences may repeat ingredients; tiles with the same id are interchangeable.
+ * 
+ * More recipes can be added without code via JSON packs (GAME_CONFIG.RECIPE_PACKS).
+ * Every recipe, built-in or from a pack, is checked field by field with
+ * RecipeSystem.getRecipeErrors(); invalid ones are reported and skipped.
  */
 const RECIPES = [
     {
         id: 'classic_stack',
         name: 'Classic Stack',
         description: 'The traditional dungeon sandwich.',
-        sequence: [1, 2, 3, 4, 5, 6, 7, 8],
-        buff: { health: +20, defense: +5 },
+        sequence: [
+            'bread_top', 'lettuce', 'tomato', 'cheese', 'patty', 'onion', 'pickle',
+            'bread_bottom'
+        ],
+        buff: { hp: +20, defense: +5 },
         difficulty: 'Medium',        // Phase 1.6: Metadata
         gridSize: 3,                 // Phase 1.6: Custom grid size
         optimalMoves: 30,            // Phase 1.6: 3-star threshold
-        maxMoves: 60                 // Phase 1.6: Fail threshold
+        maxMoves: 60,                // Phase 1.6: Fail threshold
+        unlock: { recipes: ['leafy_stack'] }
     },
     {
         id: 'leafy_stack',
         name: 'Leafy Stack',
         description: 'A simple veggie sandwich for herbivore pets.',
-        sequence: [1, 2, 3, 8],
+        sequence: ['bread_top', 'lettuce', 'tomato', 'bread_bottom'],
         buff: { defense: +10, stamina: +15 },
         difficulty: 'Easy',          // Phase 1.6: Metadata
         gridSize: 3,                 // Phase 1.6: Custom grid size
@@ -109,8 +332,8 @@ const RECIPES = [
         id: 'cheesy_beast',
         name: 'Cheesy Beast',
         description: 'Extra cheese for hungry pets.',
-        sequence: [1, 4, 5, 8],
-        buff: { attack: +15, health: +10 },
+        sequence: ['bread_top', 'cheese', 'patty', 'bread_bottom'],
+        buff: { attack: +15, hp: +10 },
         difficulty: 'Easy',          // Phase 1.6: Metadata
         gridSize: 3,                 // Phase 1.6: Custom grid size
         optimalMoves: 15,            // Phase 1.6: 3-star threshold
@@ -120,7 +343,7 @@ const RECIPES = [
         id: 'protein_power',
         name: 'Protein Power',
         description: 'Meat-heavy meal for warrior pets.',
-        sequence: [1, 5, 4, 8],
+        sequence: ['bread_top', 'patty', 'cheese', 'bread_bottom'],
         buff: { attack: +20, defense: +5 },
         difficulty: 'Easy',          // Phase 1.6: Metadata
         gridSize: 3,                 // Phase 1.6: Custom grid size
@@ -131,23 +354,75 @@ const RECIPES = [
         id: 'garden_delight',
         name: 'Garden Delight',
         description: 'Fresh veggies for balanced nutrition.',
-        sequence: [1, 2, 6, 7, 8],
-        buff: { health: +15, stamina: +20 },
+        sequence: ['bread_top', 'lettuce', 'onion', 'pickle', 'bread_bottom'],
+        buff: { hp: +15, stamina: +20 },
         difficulty: 'Medium',        // Phase 1.6: Metadata
         gridSize: 3,                 // Phase 1.6: Custom grid size
         optimalMoves: 20,            // Phase 1.6: 3-star threshold
-        maxMoves: 50                 // Phase 1.6: Fail threshold
+        maxMoves: 50,                // Phase 1.6: Fail threshold
+        unlock: { recipes: ['leafy_stack'] }
     },
     {
         id: 'deluxe_combo',
         name: 'Deluxe Combo',
         description: 'Everything sandwich for special occasions.',
-        sequence: [1, 2, 3, 4, 5, 6, 7, 8],
-        buff: { health: +30, attack: +10, defense: +10, stamina: +15 },
+        sequence: [
+            'bread_top', 'lettuce', 'tomato', 'cheese', 'patty', 'onion', 'pickle',
+            'bread_bottom'
+        ],
+        buff: { hp: +30, attack: +10, defense: +10, stamina: +15 },
         difficulty: 'Hard',          // Phase 1.6: Metadata
         gridSize: 3,                 // Phase 1.6: Custom grid size
         optimalMoves: 35,            // Phase 1.6: 3-star threshold
-        maxMoves: 70                 // Phase 1.6: Fail threshold
+        maxMoves: 70,                // Phase 1.6: Fail threshold
+        unlock: { recipes: ['classic_stack'], stars: 6 }
+    },
+    {
+        id: 'dungeon_club',
+        name: 'Dungeon Club',
+        description: 'A double-decker for two hungry pets.',
+        sequence: [
+            'bread_top', 'lettuce', 'tomato', 'cheese', 'patty', 'bread_bottom', 'bread_top',
+            'lettuce', 'pickle', 'cheese', 'patty', 'bread_bottom'
+        ],
+        buff: { attack: +15, defense: +15 },
+        difficulty: 'Medium',
+        gridSize: 4,
+        optimalMoves: 35,
+        maxMoves: 80,
+        unlock: { recipes: ['classic_stack'], stars: 9 }
+    },
+    {
+        id: 'tower_of_doom',
+        name: 'Tower of Doom',
+        description: 'A teetering stack only master chefs attempt.',
+        sequence: [
+            'bread_top', 'lettuce', 'tomato', 'cheese', 'patty', 'onion', 'pickle', 'patty',
+            'cheese', 'tomato', 'lettuce', 'onion', 'pickle', 'patty', 'bread_bottom'
+        ],
+        buff: { hp: +40, attack: +15, stamina: +20 },
+        difficulty: 'Hard',
+        gridSize: 4,
+        optimalMoves: 45,
+        maxMoves: 100,
+        unlock: { recipes: ['dungeon_club'], stars: 15 }
+    },
+    {
+        id: 'grand_feast',
+        name: 'Grand Feast',
+        description: 'Three sandwiches in one. Feeds a whole party.',
+        sequence: [
+            'bread_top', 'lettuce', 'tomato', 'cheese', 'patty', 'onion', 'pickle',
+            'bread_bottom', 'bread_top', 'patty', 'cheese', 'lettuce', 'tomato', 'onion',
+            'pickle', 'bread_bottom', 'bread_top', 'cheese', 'patty', 'onion', 'lettuce',
+            'tomato', 'pickle', 'bread_bottom'
+        ],
+        buff: { hp: +50, attack: +20, defense: +20, stamina: +30 },
+        difficulty: 'Hard',
+        gridSize: 5,
+        optimalMoves: 55,
+        maxMoves: 120,
+        unlock: { recipes: ['tower_of_doom', 'deluxe_combo'], stars: 24 }
     }
 ];
 
@@ -186,6 +461,81 @@ const RecipeSystem = {
         return RECIPES.filter(r => r.difficulty === difficulty);
     },
     
+    /**
+     * Total of the best star rating earned on every recipe
+     */
+    getTotalStars: function() {
+        return Object.values(GameState.bestRatings).reduce((total, stars) => total + stars, 0);
+    },
+    
+    /**
+     * Unlock requirements the player has not met yet
+     * @param {object} recipe - Recipe to check
+     * @returns {array} Human-readable requirements (empty = unlocked)
+     */
+    getMissingRequirements: function(recipe) {
+        const unlock = recipe.unlock;
+        if (!unlock) return [];
+        
+        const missing = [];
+        
+        (unlock.recipes || []).forEach(recipeId => {
+            if (!GameState.completedRecipes.includes(recipeId)) {
+                const required = this.getRecipeById(recipeId);
+                missing.push(`Complete ${required ? required.name : recipeId}`);
+            }
+        });
+        
+        // Floors reached stay reached after the run ends (endRun resets GameState.floor)
+        if (unlock.floor && GameState.deepestFloor < unlock.floor) {
+            missing.push(`Reach floor ${unlock.floor}`);
+        }
+        
+        const totalStars = this.getTotalStars();
+        if (unlock.stars && totalStars < unlock.stars) {
+            missing.push(`Earn ${unlock.stars} ⭐ (${totalStars} so far)`);
+        }
+        
+        return missing;
+    },
+    
+    /**
+     * Check whether a recipe's unlock requirements are met
+     */
+    isUnlocked: function(recipe) {
+        return this.getMissingRequirements(recipe).length === 0;
+    },
+    
+    /**
+     * IDs of every unlocked recipe
+     */
+    getUnlockedIds: function() {
+        return RECIPES.filter(recipe => this.isUnlocked(recipe)).map(recipe => recipe.id);
+    },
+    
+    /**
+     * Record a finished recipe's star rating, keeping the best one
+     * @param {string} recipeId - Recipe ID
+     * @param {number} stars - Stars earned (0-3)
+     */
+    recordRating: function(recipeId, stars) {
+        const best = GameState.bestRatings[recipeId] || 0;
+        GameState.bestRatings[recipeId] = Math.max(best, stars);
+    },
+    
+    /**
+     * Make a recipe the current one, configure the puzzle for it and publish recipe:changed
+     * @param {object} recipe - Recipe to switch to
+     */
+    setCurrentRecipe: function(recipe) {
+        const previous = GameState.currentRecipe;
+        
+        GameState.currentRecipe = recipe;
+        this.applyRecipeConfig(recipe);
+        
+        GameEvents.emit(GameEvents.EVENTS.RECIPE_CHANGED, { recipe: recipe, previous: previous });
+    },
+    
     /**
      * Apply recipe configuration to GAME_CONFIG
      * This automatically configures grid size and move limits based on recipe metadata
@@ -201,9 +551,15 @@ const RecipeSystem = {
         // Apply recipe metadata with fallback defaults
         GAME_CONFIG.GRID_SIZE = recipe.gridSize || 3;
         GAME_CONFIG.OPTIMAL_MOVES = recipe.optimalMoves || 20;
-        GAME_CONFIG.MAX_MOVES = recipe.maxMoves || 50;
+        const floorLimit = DungeonSystem.getMoveLimit(recipe.maxMoves || 50, GAME_CONFIG.OPTIMAL_MOVES);
+        GAME_CONFIG.MAX_MOVES = PetSystem.getMoveLimit(floorLimit, GAME_CONFIG.OPTIMAL_MOVES);
         GAME_CONFIG.DIFFICULTY = recipe.difficulty || 'Normal';
         
+        // Scramble depth comes from difficulty, capped so 3 stars stays reachable
+        const depthRange = this.getScrambleRange(recipe);
+        GAME_CONFIG.SCRAMBLE_MIN_DEPTH = depthRange.min;
+        GAME_CONFIG.SCRAMBLE_MAX_DEPTH = depthRange.max;
+        
         // Debug logging
         if (GAME_CONFIG.DEBUG_MODE) {
             console.log('[RecipeSystem] Applied config:', {
@@ -211,330 +567,4807 @@ const RecipeSystem = {
                 gridSize: GAME_CONFIG.GRID_SIZE,
                 optimalMoves: GAME_CONFIG.OPTIMAL_MOVES,
                 maxMoves: GAME_CONFIG.MAX_MOVES,
-                difficulty: GAME_CONFIG.DIFFICULTY
+                difficulty: GAME_CONFIG.DIFFICULTY,
+                scrambleDepth: depthRange
             });
         }
     },
     
     /**
-     * Validate recipe structure
+     * Get the optimal-solution length range a scramble should land in
+     * Base range comes from SCRAMBLE_DEPTH_BY_DIFFICULTY, grows with grid size
+     * and is capped at the recipe's optimalMoves so 3 stars can always be met.
+     * 
+     * @param {object} recipe - Recipe to read difficulty/optimalMoves from
+     * @returns {object} { min, max } optimal solution length
+     */
+    getScrambleRange: function(recipe) {
+        const ranges = GAME_CONFIG.SCRAMBLE_DEPTH_BY_DIFFICULTY;
+        const base = ranges[recipe.difficulty] || ranges.Normal;
+        
+        // Bigger boards need deeper scrambles to feel as hard
+        const scale = 1 + GAME_CONFIG.SCRAMBLE_DEPTH_GRID_SCALE * Math.max(0, (recipe.gridSize || 3) - 3);
+        const baseMax = Math.round(base.max * scale);
+        
+        const max = Math.min(baseMax, recipe.optimalMoves || baseMax);
+        const min = Math.min(Math.round(base.min * scale), max);
+        return { min, max };
+    },
+    
+    /**
+     * Validate a recipe against the full schema (getRecipeErrors)
      * @param {object} recipe - Recipe to validate
      * @returns {boolean} True if valid
      */
     validateRecipe: function(recipe) {
-        if (!recipe) return false;
-        if (!recipe.id || !recipe.name || !recipe.sequence) return false;
-        if (!Array.isArray(recipe.sequence) || recipe.sequence.length === 0) return false;
-        return true;
-    }
+        return this.getRecipeErrors(recipe).length === 0;
+    },
+    
+    /**
+     * Drop recipes that fail the schema, reported like a bad pack entry
+     * BootScene runs it before loading packs, so it covers the built-in RECIPES.
+     * @returns {array} Problems found
+     */
+    checkBuiltInRecipes: function() {
+        const errors = [];
+        
+        for (let index = RECIPES.length - 1; index >= 0; index--) {
+            const recipe = RECIPES[index];
+            const problems = this.getRecipeErrors(recipe);
+            if (problems.length === 0) continue;
+            
+            const label = recipe && typeof recipe.id === 'string' ? `"${recipe.id}"` : `#${index}`;
+            problems.forEach(problem => errors.push(`recipe ${label}: ${problem}`));
+            RECIPES.splice(index, 1);
+        }
+        
+        if (errors.length > 0) {
+            console.error(`[RecipeSystem] Built-in recipes have ${errors.length} problem(s):\n` +
+                errors.map(error => `  - ${error}`).join('\n'));
+        }
+        return errors;
+    },
+    
+    /**
+     * Check a recipe against the full schema (built-in recipes, JSON packs, saves)
+     * Collects every problem instead of stopping at the first one.
+     * 
+     * @param {object} recipe - Recipe to check
+     * @returns {array} Human-readable problems (empty if valid)
+     */
+    getRecipeErrors: function(recipe) {
+        if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+            return ['recipe must be an object'];
+        }
+        
+        const errors = [];
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+        
+        if (typeof recipe.id !== 'string' || recipe.id.trim() === '') {
+            errors.push('"id" must be a non-empty string');
+        }
+        if (typeof recipe.name !== 'string' || recipe.name.trim() === '') {
+            errors.push('"name" must be a non-empty string');
+        }
+        if (recipe.description !== undefined && typeof recipe.description !== 'string') {
+            errors.push('"description" must be a string');
+        }
+        
+        // Grid size must be supported by the layout
+        const gridSize = recipe.gridSize !== undefined ? recipe.gridSize : 3;
+        if (!Number.isInteger(gridSize) || gridSize < GAME_CONFIG.MIN_GRID_SIZE || gridSize > GAME_CONFIG.MAX_GRID_SIZE) {
+            errors.push(`"gridSize" must be an integer from ${GAME_CONFIG.MIN_GRID_SIZE} to ${GAME_CONFIG.MAX_GRID_SIZE} (got ${JSON.stringify(recipe.gridSize)})`);
+        }
+        
+        // Sequence must reference registered ingredients and leave at least one hole
+        if (!Array.isArray(recipe.sequence) || recipe.sequence.length === 0) {
+            errors.push('"sequence" must be a non-empty array of ingredient ids');
+        } else {
+            recipe.sequence.forEach((ingredientId, index) => {
+                if (!IngredientRegistry.has(ingredientId)) {
+                    errors.push(`sequence[${index}] = ${JSON.stringify(ingredientId)} is not a registered ingredient`);
+                }
+            });
+            
+            if (Number.isInteger(gridSize) && recipe.sequence.length > gridSize * gridSize - 1) {
+                errors.push(`"sequence" has ${recipe.sequence.length} ingredients but a ${gridSize}x${gridSize} grid holds at most ${gridSize * gridSize - 1}`);
+            }
+        }
+        
+        // Move limits (defaults match applyRecipeConfig)
+        if (recipe.optimalMoves !== undefined && !isPositiveInteger(recipe.optimalMoves)) {
+            errors.push('"optimalMoves" must be a positive integer');
+        }
+        if (recipe.maxMoves !== undefined && !isPositiveInteger(recipe.maxMoves)) {
+            errors.push('"maxMoves" must be a positive integer');
+        }
+        if (recipe.timeLimit !== undefined && !isPositiveInteger(recipe.timeLimit)) {
+            errors.push('"timeLimit" must be a positive integer (seconds)');
+        }
+        const optimalMoves = recipe.optimalMoves || 20;
+        const maxMoves = recipe.maxMoves || 50;
+        if (optimalMoves >= maxMoves) {
+            errors.push(`"optimalMoves" (${optimalMoves}) must be less than "maxMoves" (${maxMoves})`);
+        }
+        
+        if (recipe.difficulty !== undefined && !GAME_CONFIG.SCRAMBLE_DEPTH_BY_DIFFICULTY[recipe.difficulty]) {
+            errors.push(`"difficulty" must be one of ${Object.keys(GAME_CONFIG.SCRAMBLE_DEPTH_BY_DIFFICULTY).join(', ')}`);
+        }
+        
+        // Buffs must target stats the pet actually has (aliases like "health" allowed)
+        if (recipe.buff !== undefined) {
+            if (!recipe.buff || typeof recipe.buff !== 'object' || Array.isArray(recipe.buff)) {
+                errors.push('"buff" must be an object of stat: amount');
+            } else {
+                Object.keys(recipe.buff).forEach(stat => {
+                    if (!BuffSystem.resolveStat(stat)) {
+                        errors.push(`buff stat "${stat}" is not a pet stat (use ${Object.keys(GameState.petStats).join(', ')})`);
+                    } else if (typeof recipe.buff[stat] !== 'number' || !isFinite(recipe.buff[stat])) {
+                        errors.push(`buff "${stat}" must be a number`);
+                    }
+                });
+            }
+        }
+        
+        if (recipe.buffDuration !== undefined) {
+            errors.push(...BuffSystem.getDurationErrors(recipe.buffDuration));
+        }
+        
+        // Unlock requirements: { recipes: [ids], floor: n, stars: n }
+        if (recipe.unlock !== undefined) {
+            const unlock = recipe.unlock;
+            if (!unlock || typeof unlock !== 'object' || Array.isArray(unlock)) {
+                errors.push('"unlock" must be an object ({ recipes, floor, stars })');
+            } else {
+                if (unlock.recipes !== undefined &&
+                    (!Array.isArray(unlock.recipes) || unlock.recipes.some(id => typeof id !== 'string'))) {
+                    errors.push('"unlock.recipes" must be an array of recipe IDs');
+                }
+                ['floor', 'stars'].forEach(field => {
+                    if (unlock[field] !== undefined && (!Number.isInteger(unlock[field]) || unlock[field] < 1)) {
+                        errors.push(`"unlock.${field}" must be a positive integer`);
+                    }
+                });
+            }
+        }
+        
+        return errors;
+    },
+    
+    /**
+     * Validate and register a recipe pack loaded from JSON
+     * Pack format: { "name": "...", "ingredients": [ ... ], "recipes": [ recipe, ... ] }
+     * Pack ingredients (optional) are registered first so its recipes can use them.
+     * Invalid entries are skipped; valid ones are added to INGREDIENTS / RECIPES.
+     * Every problem is reported in one console error.
+     * 
+     * @param {object} pack - Parsed pack JSON
+     * @param {string} source - Pack path for error messages
+     * @returns {object} { added: [recipe ids], errors: [messages] }
+     */
+    loadPack: function(pack, source) {
+        const report = { added: [], errors: [] };
+        
+        if (this.loadedPacks.includes(source)) return report;
+        this.loadedPacks.push(source);
+        
+        if (!pack || typeof pack !== 'object' || !Array.isArray(pack.recipes)) {
+            report.errors.push('pack must be an object with a "recipes" array');
+        } else {
+            if (pack.ingredients !== undefined && !Array.isArray(pack.ingredients)) {
+                report.errors.push('"ingredients" must be an array');
+            }
+            (Array.isArray(pack.ingredients) ? pack.ingredients : []).forEach((ingredient, index) => {
+                const label = ingredient && typeof ingredient.id === 'string' ? `"${ingredient.id}"` : `#${index}`;
+                IngredientRegistry.register(ingredient)
+                    .forEach(error => report.errors.push(`ingredient ${label}: ${error}`));
+            });
+            
+            const takenIds = new Set(RECIPES.map(r => r.id));
+            
+            pack.recipes.forEach((recipe, index) => {
+                const label = recipe && typeof recipe.id === 'string' ? `"${recipe.id}"` : `#${index}`;
+                const errors = this.getRecipeErrors(recipe);
+                
+                if (recipe && takenIds.has(recipe.id)) {
+                    errors.push(`id "${recipe.id}" is already used by another recipe`);
+                }
+                
+                if (errors.length > 0) {
+                    errors.forEach(error => report.errors.push(`recipe ${label}: ${error}`));
+                    return;
+                }
+                
+                takenIds.add(recipe.id);
+                RECIPES.push(recipe);
+                report.added.push(recipe.id);
+            });
+        }
+        
+        if (report.errors.length > 0) {
+            console.error(`[RecipeSystem] Recipe pack ${source} has ${report.errors.length} problem(s):\n` +
+                report.errors.map(error => `  - ${error}`).join('\n'));
+        }
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[RecipeSystem] Loaded pack:', { source: source, added: report.added });
+        }
+        
+        return report;
+    },
+    
+    // Pack paths already registered (scene restarts must not load them twice)
+    loadedPacks: []
 };
 
 // =============================================================================
-// GAME CONFIGURATION & TUNABLE CONSTANTS
+// BUFF SYSTEM
 // =============================================================================
 
-const GAME_CONFIG = {
-    // Grid settings (will be overridden by recipe metadata)
-    GRID_SIZE: 3,
-    TILE_SIZE: 120,
-    TILE_SPACING: 10,
-    GRID_OFFSET_X: 45,
-    GRID_OFFSET_Y: 180,
+/**
+ * BuffSystem - Turns recipe buffs into pet stat changes
+ * 
+ * Two kinds of stat:
+ * - Resources (hp, stamina, hunger): a buff restores them instantly, capped
+ *   at RESOURCE_MAX (hp is capped at the pet's effective maxHp)
+ * - Modifiers (attack, defense, maxHp): a buff is a temporary bonus stored in
+ *   GameState.activeBuffs; base petStats never change. Read combat values
+ *   through getEffectiveStat()/getEffectiveStats().
+ * 
+ * Temporary buffs last a number of puzzles, floors or combat turns
+ * (recipe.buffDuration, default GAME_CONFIG.DEFAULT_BUFF_DURATION) and count
+ * down when tick(unit) is called for that unit.
+ * 
+ * Stacking: buffs from different recipes add up, while the same recipe
+ * refreshes its buff (GAME_CONFIG.BUFF_STACKING = 'refresh') or adds another
+ * copy ('stack'). The total bonus per stat is capped by GAME_CONFIG.BUFF_CAPS.
+ * 
+ * Magnitudes scale with the puzzle rating (GAME_CONFIG.BUFF_RATING_SCALE).
+ */
+const BuffSystem = {
+    // Recipe buff keys that name a pet stat differently
+    STAT_ALIASES: {
+        health: 'hp',
+        maxHealth: 'maxHp'
+    },
     
-    // Recipe system
-    RECIPE_MODE: true,
-    DEFAULT_RECIPE_ID: 'leafy_stack',
+    // Resource stats and their ceiling (a number, or the stat that caps them)
+    RESOURCE_MAX: {
+        hp: 'maxHp',
+        stamina: 100,
+        hunger: 100
+    },
     
-    // Move limits (will be overridden by recipe metadata)
-    OPTIMAL_MOVES: 20,
-    MAX_MOVES: 50,
-    DIFFICULTY: 'Normal',
+    DURATION_UNITS: ['puzzles', 'floors', 'turns'],
     
-    // Animation timing
-    SHUFFLE_MOVE_COUNT: 20,
-    SHUFFLE_MOVE_DURATION: 120,
-    TILE_SLIDE_DURATION: 150,
+    /**
+     * Map a recipe buff key to a pet stat
+     * @param {string} key - Buff key ('hp', 'health', 'attack', ...)
+     * @returns {string|null} petStats key, or null if the pet has no such stat
+     */
+    resolveStat: function(key) {
+        const stat = this.STAT_ALIASES[key] || key;
+        return GameState.petStats[stat] !== undefined ? stat : null;
+    },
     
-    // Visual effects
-    ENABLE_SHUFFLE_BOUNCE: true,
-    ENABLE_HYBRID_SHUFFLE: true,
-    HYBRID_SHUFFLE_COUNT: 6,
-    HYBRID_SWAP_DURATION: 120,
-    WIN_SCALE_DURATION: 600,
-    FAIL_DISPLAY_DURATION: 2000,
+    /**
+     * Check whether a stat is a resource (restored) rather than a modifier
+     */
+    isResource: function(stat) {
+        return this.RESOURCE_MAX[stat] !== undefined;
+    },
     
-    // Phase 1.6: Debug mode
-    DEBUG_MODE: false,               // Enable debug features (console logs, recipe cycling)
-    DEBUG_RECIPE_CYCLE_KEY: 'R'      // Keyboard key to cycle recipes in debug mode
-};
-
-const config = {
-    type: Phaser.AUTO,
-    width: 450,
-    height: 700,
-    parent: 'game-container',
-    backgroundColor: '#2c1810',
-    scene: {
-        preload: preload,
-        create: create,
-        update: update
+    /**
+     * Fraction of a buff granted for a star rating (3 stars = full buff)
+     */
+    getRatingScale: function(stars) {
+        const scale = GAME_CONFIG.BUFF_RATING_SCALE[stars];
+        return scale !== undefined ? scale : 0;
     },
-    scale: {
-        mode: Phaser.Scale.FIT,
-        autoCenter: Phaser.Scale.CENTER_BOTH
+    
+    /**
+     * Duration for a recipe's temporary buffs
+     * @returns {object} { unit, count }
+     */
+    getDuration: function(recipe) {
+        return recipe.buffDuration || GAME_CONFIG.DEFAULT_BUFF_DURATION;
+    },
+    
+    /**
+     * Apply a recipe's buffs, scaled by the rating
+     * 
+     * @param {object} recipe - Completed recipe
+     * @param {number} stars - Rating stars (0-3)
+     * @returns {array} Applied buffs: { stat, amount, unit, count } (unit/count only for temporary buffs)
+     */
+    applyRecipeBuffs: function(recipe, stars) {
+        if (!recipe.buff) return [];
+        
+        const scale = this.getRatingScale(stars);
+        const duration = this.getDuration(recipe);
+        const applied = [];
+        
+        Object.keys(recipe.buff).forEach(key => {
+            const stat = this.resolveStat(key);
+            const amount = Math.round(recipe.buff[key] * scale);
+            
+            if (!stat) {
+                console.warn(`[BuffSystem] ${recipe.id}: buff "${key}" is not a pet stat`);
+                return;
+            }
+            if (amount === 0) return;
+            
+            if (this.isResource(stat)) {
+                // Report what was actually restored (a full hp bar gains nothing)
+                const gained = this.restore(stat, amount);
+                if (gained !== 0) applied.push({ stat, amount: gained });
+            } else {
+                this.addModifier(recipe.id, stat, amount, duration);
+                applied.push({ stat, amount, unit: duration.unit, count: duration.count });
+            }
+        });
+        
+        return applied;
+    },
+    
+    /**
+     * Add to a resource stat, clamped to 0..its maximum
+     * @returns {number} Actual change after clamping
+     */
+    restore: function(stat, amount) {
+        const before = GameState.petStats[stat];
+        const max = this.getResourceMax(stat);
+        GameState.petStats[stat] = Math.max(0, Math.min(before + amount, max));
+        return GameState.petStats[stat] - before;
+    },
+    
+    /**
+     * Ceiling for a resource stat (hp uses the buffed maxHp)
+     */
+    getResourceMax: function(stat) {
+        const max = this.RESOURCE_MAX[stat];
+        return typeof max === 'number' ? max : this.getEffectiveStat(max);
+    },
+    
+    /**
+     * Add a temporary stat bonus, following GAME_CONFIG.BUFF_STACKING for repeats
+     * 
+     * @param {string} source - Recipe ID the buff came from
+     * @param {string} stat - Modifier stat
+     * @param {number} amount - Bonus (negative for debuffs)
+     * @param {object} duration - { unit, count }
+     */
+    addModifier: function(source, stat, amount, duration) {
+        const existing = GameState.activeBuffs.find(buff => buff.source === source && buff.stat === stat);
+        
+        if (existing && GAME_CONFIG.BUFF_STACKING === 'refresh') {
+            existing.amount = Math.max(existing.amount, amount);
+            existing.unit = duration.unit;
+            existing.remaining = Math.max(existing.remaining, duration.count);
+            return;
+        }
+        
+        GameState.activeBuffs.push({
+            source: source,
+            stat: stat,
+            amount: amount,
+            unit: duration.unit,
+            remaining: duration.count
+        });
+    },
+    
+    /**
+     * Count down temporary buffs measured in a unit and drop expired ones
+     * Call with 'puzzles' after each puzzle, 'floors' per floor, 'turns' per combat turn.
+     * 
+     * @param {string} unit - One of DURATION_UNITS
+     * @returns {array} Buffs that expired
+     */
+    tick: function(unit) {
+        const expired = [];
+        
+        GameState.activeBuffs = GameState.activeBuffs.filter(buff => {
+            if (buff.unit !== unit) return true;
+            buff.remaining--;
+            if (buff.remaining > 0) return true;
+            expired.push(buff);
+            return false;
+        });
+        
+        // A shrinking maxHp can leave hp above it
+        GameState.petStats.hp = Math.min(GameState.petStats.hp, this.getEffectiveStat('maxHp'));
+        
+        if (GAME_CONFIG.DEBUG_MODE && expired.length > 0) {
+            console.log('[BuffSystem] Expired:', expired);
+        }
+        
+        return expired;
+    },
+    
+    /**
+     * Total active bonus for a stat, capped by GAME_CONFIG.BUFF_CAPS
+     */
+    getBonus: function(stat) {
+        const total = GameState.activeBuffs
+            .filter(buff => buff.stat === stat)
+            .reduce((sum, buff) => sum + buff.amount, 0);
+        const cap = GAME_CONFIG.BUFF_CAPS[stat];
+        return cap !== undefined ? Math.min(total, cap) : total;
+    },
+    
+    /**
+     * Base stat plus active bonuses, then need penalties (PetSystem)
+     */
+    getEffectiveStat: function(stat) {
+        const value = GameState.petStats[stat] + this.getBonus(stat);
+        return Math.round(value * PetSystem.getStatMultiplier(stat));
+    },
+    
+    /**
+     * Every pet stat with active bonuses applied (for combat and UI)
+     */
+    getEffectiveStats: function() {
+        const stats = {};
+        Object.keys(GameState.petStats).forEach(stat => {
+            stats[stat] = this.getEffectiveStat(stat);
+        });
+        return stats;
+    },
+    
+    /**
+     * Problems with a recipe's buffDuration (used by RecipeSystem.getRecipeErrors)
+     * @returns {array} Error messages
+     */
+    getDurationErrors: function(duration) {
+        if (!duration || typeof duration !== 'object' || Array.isArray(duration)) {
+            return ['"buffDuration" must be an object ({ unit, count })'];
+        }
+        
+        const errors = [];
+        if (!this.DURATION_UNITS.includes(duration.unit)) {
+            errors.push(`"buffDuration.unit" must be one of ${this.DURATION_UNITS.join(', ')}`);
+        }
+        if (!Number.isInteger(duration.count) || duration.count < 1) {
+            errors.push('"buffDuration.count" must be a positive integer');
+        }
+        return errors;
     }
 };
 
-const game = new Phaser.Game(config);
-
 // =============================================================================
-// LOCAL SCENE STATE (NOT SHARED)
+// PET SYSTEM
 // =============================================================================
 
-let tiles = [];
-let gridData = [];
-let emptyPos = { row: 2, col: 2 };
-let moveCount = 0;
-let isAnimating = false;
-let isShuffling = false;
-let isWon = false;
-let hasFailed = false;
-let currentScene = null;
-let recipeUIElements = [];
-
-// Sandwich ingredient order (0 = empty space)
-const INGREDIENTS = [
-    'Bread Top',    // 1
-    'Lettuce',      // 2
-    'Tomato',       // 3
-    'Cheese',       // 4
-    'Patty',        // 5
-    'Onion',        // 6
-    'Pickle',       // 7
-    'Bread Bottom'  // 8
-];
-
-const TILE_COLORS = [
-    null,           // 0 - empty
-    0xF4D03F,       // 1 - Bread Top (golden)
-    0x2ECC71,       // 2 - Lettuce (green)
-    0xE74C3C,       // 3 - Tomato (red)
-    0xF39C12,       // 4 - Cheese (orange)
-    0x8B4513,       // 5 - Patty (brown)
-    0xE8DAEF,       // 6 - Onion (light purple)
-    0x27AE60,       // 7 - Pickle (dark green)
-    0xD4A574        // 8 - Bread Bottom (tan)
-];
+/**
+ * PetSystem - Hunger and stamina needs driven by feeding results
+ * 
+ * hunger is a fullness meter (100 = well fed, 0 = starving) and stamina is
+ * energy; both run 0-100.
+ * 
+ * - Hunger decays with play time (update) and with each dungeon floor (onFloorAdvance)
+ * - Completing a recipe feeds the pet its ingredients' nutrition (feed)
+ * - Failing a recipe wastes the meal and the pet goes hungrier (wasteMeal)
+ * - Every puzzle costs stamina; stamina recovers over time unless starving
+ * 
+ * Penalties while a need is low:
+ * - Starving: attack/defense scaled by PET_STARVING_STAT_MULTIPLIER, hp lost per puzzle
+ * - Exhausted: puzzle move limit scaled by PET_EXHAUSTED_MOVE_MULTIPLIER
+ */
+const PetSystem = {
+    // Fractional decay/regen carried between update() calls (not saved)
+    pendingHungerDecay: 0,
+    pendingStaminaRegen: 0,
+    
+    /**
+     * Hunger restored by one ingredient
+     * Uses the ingredient's own "nutrition", else the best match in PET_NUTRITION_BY_TAG
+     */
+    getNutrition: function(ingredientId) {
+        const ingredient = IngredientRegistry.get(ingredientId);
+        if (!ingredient) return 0;
+        if (typeof ingredient.nutrition === 'number') return ingredient.nutrition;
+        
+        const byTag = GAME_CONFIG.PET_NUTRITION_BY_TAG;
+        const tagValues = ingredient.tags.filter(tag => byTag[tag] !== undefined).map(tag => byTag[tag]);
+        return tagValues.length > 0 ? Math.max(...tagValues) : GAME_CONFIG.PET_DEFAULT_NUTRITION;
+    },
+    
+    /**
+     * Total hunger restored by eating a recipe
+     */
+    getMealNutrition: function(recipe) {
+        return recipe.sequence.reduce((total, ingredientId) => total + this.getNutrition(ingredientId), 0);
+    },
+    
+    /**
+     * Feed a completed recipe to the pet
+     * @returns {number} Hunger actually restored
+     */
+    feed: function(recipe) {
+        return BuffSystem.restore('hunger', this.getMealNutrition(recipe));
+    },
+    
+    /**
+     * A failed recipe is thrown away and the pet goes hungrier
+     * @returns {number} Nutrition that was wasted
+     */
+    wasteMeal: function(recipe) {
+        BuffSystem.restore('hunger', -GAME_CONFIG.PET_FAILED_MEAL_HUNGER_COST);
+        return recipe ? this.getMealNutrition(recipe) : 0;
+    },
+    
+    /**
+     * Costs paid after every puzzle, won or lost
+     */
+    onPuzzleEnd: function() {
+        BuffSystem.restore('stamina', -GAME_CONFIG.PET_STAMINA_COST_PER_PUZZLE);
+        
+        if (this.isStarving()) {
+            GameState.petStats.hp = Math.max(0, GameState.petStats.hp - GAME_CONFIG.PET_STARVING_HP_LOSS);
+        }
+    },
+    
+    /**
+     * Needs drop when the pet climbs to a new floor (called by the dungeon)
+     */
+    onFloorAdvance: function() {
+        BuffSystem.restore('hunger', -GAME_CONFIG.PET_HUNGER_DECAY_PER_FLOOR);
+        BuffSystem.restore('stamina', -GAME_CONFIG.PET_STAMINA_COST_PER_FLOOR);
+        
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['petStats'], state: GameState });
+    },
+    
+    /**
+     * Real-time decay (called from a scene's update loop)
+     * @param {number} delta - Milliseconds since the last frame
+     */
+    update: function(delta) {
+        const minutes = delta / 60000;
+        this.pendingHungerDecay += minutes * GAME_CONFIG.PET_HUNGER_DECAY_PER_MINUTE;
+        if (!this.isStarving()) {
+            this.pendingStaminaRegen += minutes * GAME_CONFIG.PET_STAMINA_REGEN_PER_MINUTE;
+        }
+        
+        const hungerLoss = Math.floor(this.pendingHungerDecay);
+        const staminaGain = Math.floor(this.pendingStaminaRegen);
+        if (hungerLoss === 0 && staminaGain === 0) return;
+        
+        this.pendingHungerDecay -= hungerLoss;
+        this.pendingStaminaRegen -= staminaGain;
+        BuffSystem.restore('hunger', -hungerLoss);
+        BuffSystem.restore('stamina', staminaGain);
+        
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['petStats'], state: GameState });
+    },
+    
+    isStarving: function() {
+        return GameState.petStats.hunger < GAME_CONFIG.PET_STARVING_THRESHOLD;
+    },
+    
+    isExhausted: function() {
+        return GameState.petStats.stamina < GAME_CONFIG.PET_EXHAUSTED_THRESHOLD;
+    },
+    
+    /**
+     * Active need penalties for display
+     * @returns {array} Labels, e.g. ['Starving']
+     */
+    getPenalties: function() {
+        const penalties = [];
+        if (this.isStarving()) penalties.push('Starving');
+        if (this.isExhausted()) penalties.push('Exhausted');
+        return penalties;
+    },
+    
+    /**
+     * Multiplier BuffSystem applies to a stat for need penalties
+     */
+    getStatMultiplier: function(stat) {
+        if (this.isStarving() && (stat === 'attack' || stat === 'defense')) {
+            return GAME_CONFIG.PET_STARVING_STAT_MULTIPLIER;
+        }
+        return 1;
+    },
+    
+    /**
+     * Puzzle move limit after the exhaustion penalty
+     * @param {number} maxMoves - Recipe move limit
+     * @param {number} optimalMoves - Recipe 3-star cap (the limit never drops to it)
+     */
+    getMoveLimit: function(maxMoves, optimalMoves) {
+        if (!this.isExhausted()) return maxMoves;
+        return Math.max(optimalMoves + 1, Math.floor(maxMoves * GAME_CONFIG.PET_EXHAUSTED_MOVE_MULTIPLIER));
+    }
+};
 
 // =============================================================================
-// PHASE 1.6: EVENT HOOKS (CROSS-SCENE COMMUNICATION)
+// INVENTORY SYSTEM
 // =============================================================================
 
 /**
- * Called when puzzle is successfully completed
- * Future scenes (Combat, Pet, Dungeon) can subscribe to this event
+ * InventorySystem - Item stacks in GameState.inventory
  * 
- * @param {object} recipe - The completed recipe
- * @param {number} moves - Number of moves taken
- * @param {string} rating - Star rating (⭐⭐⭐, ⭐⭐, ⭐, 💀)
+ * Each stack is { id, count } for a registered ingredient (rarity comes from
+ * IngredientRegistry) or a shop consumable such as 'hint_token'
+ * (SHOP_CATALOG). Cooking a recipe uses up one ingredient per entry in its
+ * sequence (repeats count twice), taken when the puzzle starts. Ingredients
+ * are found as combat loot, rarer ones less often (INGREDIENT_DROP_WEIGHTS).
  */
-function onPuzzleComplete(recipe, moves, rating) {
-    // Update GameState
-    GameState.lastResult = 'win';
-    GameState.currentRecipe = recipe;
-    GameState.puzzlesCompleted++;
-    GameState.totalMoves += moves;
+const InventorySystem = {
+    /**
+     * Stack for an item, or null if none are held
+     */
+    getStack: function(itemId) {
+        return GameState.inventory.find(stack => stack.id === itemId) || null;
+    },
     
-    // Add to completed recipes if not already there
-    if (!GameState.completedRecipes.includes(recipe.id)) {
-        GameState.completedRecipes.push(recipe.id);
-    }
+    getCount: function(itemId) {
+        const stack = this.getStack(itemId);
+        return stack ? stack.count : 0;
+    },
     
-    // Apply buffs to pet stats (Phase 3 integration point)
-    if (recipe.buff) {
-        Object.keys(recipe.buff).forEach(stat => {
-            if (GameState.petStats[stat] !== undefined) {
-                GameState.petStats[stat] += recipe.buff[stat];
-                
-                // Cap health at maxHp
-                if (stat === 'hp' || stat === 'health') {
-                    GameState.petStats.hp = Math.min(GameState.petStats.hp, GameState.petStats.maxHp);
-                }
+    /**
+     * Add items (stacks stop at INVENTORY_STACK_LIMIT)
+     * @returns {number} How many were actually added
+     */
+    add: function(itemId, count = 1) {
+        let stack = this.getStack(itemId);
+        if (!stack) {
+            stack = { id: itemId, count: 0 };
+            GameState.inventory.push(stack);
+        }
+        
+        const added = Math.max(0, Math.min(count, GAME_CONFIG.INVENTORY_STACK_LIMIT - stack.count));
+        stack.count += added;
+        if (stack.count === 0) {
+            GameState.inventory.splice(GameState.inventory.indexOf(stack), 1);
+        }
+        return added;
+    },
+    
+    /**
+     * Take items out; empty stacks are dropped
+     * @returns {boolean} False (and nothing removed) if there are not enough
+     */
+    remove: function(itemId, count = 1) {
+        const stack = this.getStack(itemId);
+        if (!stack || stack.count < count) return false;
+        
+        stack.count -= count;
+        if (stack.count === 0) {
+            GameState.inventory.splice(GameState.inventory.indexOf(stack), 1);
+        }
+        return true;
+    },
+    
+    /**
+     * Ingredients a recipe uses up, in first-appearance order
+     * @returns {array} { id, count }
+     */
+    getRequirements: function(recipe) {
+        const requirements = [];
+        recipe.sequence.forEach(ingredientId => {
+            const entry = requirements.find(requirement => requirement.id === ingredientId);
+            if (entry) {
+                entry.count++;
+            } else {
+                requirements.push({ id: ingredientId, count: 1 });
             }
         });
-    }
+        return requirements;
+    },
     
-    // Debug logging
-    if (GAME_CONFIG.DEBUG_MODE) {
-        console.log('[onPuzzleComplete]', {
-            recipe: recipe.name,
-            moves: moves,
-            rating: rating,
-            buffs: recipe.buff,
-            petStats: GameState.petStats
-        });
-    }
+    /**
+     * What the player has versus what the recipe needs
+     * @returns {array} { id, need, have } per ingredient
+     */
+    getRecipeStock: function(recipe) {
+        return this.getRequirements(recipe).map(requirement => ({
+            id: requirement.id,
+            need: requirement.count,
+            have: this.getCount(requirement.id)
+        }));
+    },
     
-    // Future: This is where scene transitions would happen
-    // Example: switchScene(currentScene, 'DungeonScene', { result: 'win', recipe: recipe });
-}
-
-/**
- * Called when puzzle fails (exceeds move limit)
- * Future scenes can react to failure (e.g., lose pet health, retreat)
- */
-function onPuzzleFail() {
-    // Update GameState
-    GameState.lastResult = 'fail';
-    GameState.puzzlesFailed++;
+    /**
+     * Ingredients still needed to cook a recipe
+     * @returns {array} { id, count } (empty if it can be cooked)
+     */
+    getMissing: function(recipe) {
+        if (!GAME_CONFIG.RECIPES_CONSUME_INGREDIENTS) return [];
+        
+        return this.getRecipeStock(recipe)
+            .filter(stock => stock.have < stock.need)
+            .map(stock => ({ id: stock.id, count: stock.need - stock.have }));
+    },
     
-    // Pet takes damage on failure (Phase 3 integration point)
-    GameState.petStats.hp = Math.max(0, GameState.petStats.hp - 10);
+    canCraft: function(recipe) {
+        return this.getMissing(recipe).length === 0;
+    },
     
-    // Debug logging
-    if (GAME_CONFIG.DEBUG_MODE) {
-        console.log('[onPuzzleFail]', {
-            petHp: GameState.petStats.hp,
-            totalFails: GameState.puzzlesFailed
-        });
-    }
+    /**
+     * Use up a recipe's ingredients
+     * @returns {boolean} False (and nothing used) if any are missing
+     */
+    consumeRecipe: function(recipe) {
+        if (!this.canCraft(recipe)) return false;
+        if (!GAME_CONFIG.RECIPES_CONSUME_INGREDIENTS) return true;
+        
+        this.getRequirements(recipe).forEach(requirement => this.remove(requirement.id, requirement.count));
+        
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['inventory'], state: GameState });
+        return true;
+    },
     
-    // Future: This is where failure handling would happen
-    // Example: if (GameState.petStats.hp <= 0) { switchScene(currentScene, 'GameOverScene'); }
-}
+    /**
+     * Random ingredients weighted by rarity
+     * @param {number} count - How many to roll
+     * @param {function} rng - Random source (0..1)
+     * @returns {array} { id, count } grouped by ingredient
+     */
+    rollDrops: function(count, rng = GameRandom.random) {
+        const weights = GAME_CONFIG.INGREDIENT_DROP_WEIGHTS;
+        const pool = IngredientRegistry.getAll().filter(ingredient => (weights[ingredient.rarity] || 0) > 0);
+        const totalWeight = pool.reduce((total, ingredient) => total + weights[ingredient.rarity], 0);
+        const drops = [];
+        
+        for (let i = 0; i < count && pool.length > 0; i++) {
+            let roll = rng() * totalWeight;
+            const ingredient = pool.find(candidate => (roll -= weights[candidate.rarity]) < 0) || pool[pool.length - 1];
+            
+            const drop = drops.find(entry => entry.id === ingredient.id);
+            if (drop) {
+                drop.count++;
+            } else {
+                drops.push({ id: ingredient.id, count: 1 });
+            }
+        }
+        
+        return drops;
+    },
+    
+    /**
+     * Roll drops and put them in the inventory
+     * @returns {array} { id, count } actually added
+     */
+    addDrops: function(count, rng = GameRandom.random) {
+        return this.rollDrops(count, rng)
+            .map(drop => ({ id: drop.id, count: this.add(drop.id, drop.count) }))
+            .filter(drop => drop.count > 0);
+    },
+    
+    /**
+     * Display name for an ingredient or shop item
+     */
+    getName: function(itemId) {
+        const entry = ShopSystem.getEntry(itemId);
+        return entry ? entry.name : IngredientRegistry.getName(itemId);
+    },
+    
+    /**
+     * Display text for a list of { id, count }, e.g. "2 Lettuce, Cheese"
+     */
+    formatItems: function(items) {
+        return items
+            .map(item => `${item.count > 1 ? `${item.count} ` : ''}${this.getName(item.id)}`)
+            .join(', ');
+    }
+};
 
 // =============================================================================
-// PHASE 1.6: SCENE TRANSITION UTILITY
+// SHOP SYSTEM
 // =============================================================================
 
 /**
- * Safe scene transition helper
- * Handles cleanup and data passing between scenes
+ * Shop catalog (besides ingredients, which are all for sale by rarity)
  * 
- * @param {Phaser.Scene} scene - Current scene
- * @param {string} targetKey - Target scene key
- * @param {object} data - Data to pass to next scene
+ * FIELDS:
+ * - id: Item id (inventory stack id for 'consumable' items)
+ * - name, description: Shown in ShopScene
+ * - type: 'consumable' goes to the inventory, 'instant' applies on purchase
+ * - price: Gold on floor 1 (scaled by SHOP_PRICE_SCALE_PER_FLOOR)
+ * - restore: 'instant' only, pet resources restored { hunger, stamina, hp }
  */
-function switchScene(scene, targetKey, data = {}) {
-    if (!scene || !scene.scene) {
-        console.error('[switchScene] Invalid scene provided');
-        return;
+const SHOP_CATALOG = [
+    { id: 'hint_token',  name: 'Hint Token',  type: 'consumable', price: 8,  description: 'One hint without paying gold' },
+    { id: 'extra_moves', name: 'Extra Moves', type: 'consumable', price: 20, description: 'Raise the move limit of one puzzle' },
+    { id: 'undo_charge', name: 'Undo Charge', type: 'consumable', price: 6,  description: 'Take back one move' },
+    { id: 'pet_snack',   name: 'Pet Snack',   type: 'instant',    price: 15, description: 'Eaten on the spot', restore: { hunger: 25 } }
+];
+
+/**
+ * ShopSystem - Prices and purchases
+ * ShopScene lists getCatalog(); buying never lets gold go below zero.
+ */
+const ShopSystem = {
+    /**
+     * Catalog entry (consumables and instants only)
+     */
+    getEntry: function(itemId) {
+        return SHOP_CATALOG.find(entry => entry.id === itemId) || null;
+    },
+    
+    /**
+     * Price multiplier for the current dungeon floor
+     */
+    getPriceScale: function() {
+        return 1 + GAME_CONFIG.SHOP_PRICE_SCALE_PER_FLOOR * (GameState.floor - 1);
+    },
+    
+    /**
+     * Everything for sale with current prices
+     * @returns {array} { id, name, type, description, price, restore? }
+     */
+    getCatalog: function() {
+        const scale = this.getPriceScale();
+        const ingredients = IngredientRegistry.getAll()
+            .filter(ingredient => GAME_CONFIG.SHOP_INGREDIENT_PRICES[ingredient.rarity] !== undefined)
+            .map(ingredient => ({
+                id: ingredient.id,
+                name: ingredient.name,
+                type: 'ingredient',
+                description: `${ingredient.rarity} ingredient`,
+                price: GAME_CONFIG.SHOP_INGREDIENT_PRICES[ingredient.rarity]
+            }));
+        
+        return [...SHOP_CATALOG, ...ingredients].map(entry => ({
+            ...entry,
+            price: Math.round(entry.price * scale)
+        }));
+    },
+    
+    /**
+     * Buy one of an item
+     * @returns {string} Message for the player
+     */
+    buy: function(itemId) {
+        const entry = this.getCatalog().find(candidate => candidate.id === itemId);
+        if (!entry) return `${itemId} is not for sale.`;
+        if (GameState.gold < entry.price) return `${entry.name} costs ${entry.price} gold.`;
+        
+        let message;
+        if (entry.type === 'instant') {
+            const gained = Object.keys(entry.restore || {})
+                .map(stat => ({ stat, amount: BuffSystem.restore(stat, entry.restore[stat]) }))
+                .filter(gain => gain.amount > 0);
+            message = `Bought ${entry.name}.${gained.map(gain => ` ${gain.stat} +${gain.amount}`).join(',')}`;
+        } else {
+            if (InventorySystem.add(entry.id, 1) === 0) return `You can't carry more ${entry.name}.`;
+            message = `Bought ${entry.name} (${InventorySystem.getCount(entry.id)} held).`;
+        }
+        
+        GameState.gold -= entry.price;
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['gold', 'inventory', 'petStats'], state: GameState });
+        if (GAME_CONFIG.AUTOSAVE) {
+            SaveSystem.save();
+        }
+        return message;
+    }
+};
+
+// =============================================================================
+// DELI COUNTER
+// =============================================================================
+
+/**
+ * Deli counter customers (pets and adventurers from the dungeon)
+ * 
+ * FIELDS:
+ * - id, name, icon: Shown in DeliCounterScene
+ * - kind: 'pet' or 'adventurer'
+ * - tip: [min, max] gold tipped for a 3-star order served right away
+ * - patience: Multiplier on COUNTER_PATIENCE_SECONDS
+ */
+const DELI_CUSTOMERS = [
+    { id: 'slime',    name: 'Gloop the Slime', icon: '🟢', kind: 'pet',        tip: [1, 4],  patience: 1.3 },
+    { id: 'wolf_pup', name: 'Wolf Pup',        icon: '🐺', kind: 'pet',        tip: [2, 5],  patience: 0.8 },
+    { id: 'mimic',    name: 'Hungry Mimic',    icon: '📦', kind: 'pet',        tip: [4, 10], patience: 1.0 },
+    { id: 'knight',   name: 'Sir Crumbs',      icon: '🛡', kind: 'adventurer', tip: [5, 12], patience: 1.0 },
+    { id: 'rogue',    name: 'Quick Vex',       icon: '🗡', kind: 'adventurer', tip: [8, 15], patience: 0.6 },
+    { id: 'wizard',   name: 'Old Marjoram',    icon: '🧙', kind: 'adventurer', tip: [3, 8],  patience: 1.5 }
+];
+
+/**
+ * DeliCounter - Queue of customers ordering unlocked recipes
+ * 
+ * ORDER: { id, customerId, recipeId, patience, patienceLeft, tip } (patience in ms)
+ * 
+ * Customers walk in every COUNTER_ARRIVAL_SECONDS while there is room and
+ * leave when their patience runs out. The player picks an order in
+ * DeliCounterScene and cooks it in FeedingPuzzleScene; that customer waits
+ * (patience still draining) and pays on a win, scaled by rating and the
+ * patience left. Time only passes at the counter and while cooking an order.
+ * The queue lasts for the session (it is not saved).
+ */
+const DeliCounter = {
+    // Orders waiting, in arrival order
+    queue: [],
+    
+    // Order being cooked (taken out of the queue), or null
+    serving: null,
+    
+    // Next order id
+    nextId: 1,
+    
+    // Milliseconds until the next customer walks in
+    arrivalTimer: 0,
+    
+    // Customers who gave up waiting this session
+    walkouts: 0,
+    
+    /**
+     * Open up: the first visit starts with a few customers already waiting
+     */
+    open: function() {
+        if (this.queue.length > 0 || this.serving) return;
+        
+        while (this.queue.length < GAME_CONFIG.COUNTER_OPENING_CUSTOMERS) {
+            this.queue.push(this.createOrder());
+        }
+        this.arrivalTimer = GAME_CONFIG.COUNTER_ARRIVAL_SECONDS * 1000;
+    },
+    
+    getCustomer: function(order) {
+        return DELI_CUSTOMERS.find(customer => customer.id === order.customerId) || DELI_CUSTOMERS[0];
+    },
+    
+    /**
+     * New order from a random customer for a random unlocked recipe
+     * @param {function} rng - Random source (defaults to the session stream)
+     */
+    createOrder: function(rng = GameRandom.random) {
+        const recipes = RecipeSystem.getAllRecipes().filter(recipe => RecipeSystem.isUnlocked(recipe));
+        const recipe = recipes[Math.floor(rng() * recipes.length)] || RECIPES[0];
+        const customer = DELI_CUSTOMERS[Math.floor(rng() * DELI_CUSTOMERS.length)];
+        
+        const byDifficulty = GAME_CONFIG.COUNTER_PATIENCE_SECONDS;
+        const seconds = (byDifficulty[recipe.difficulty] || byDifficulty.Normal) * customer.patience;
+        const variance = 1 + (rng() * 2 - 1) * GAME_CONFIG.COUNTER_PATIENCE_VARIANCE;
+        const patience = Math.round(seconds * variance) * 1000;
+        
+        const [minTip, maxTip] = customer.tip;
+        return {
+            id: this.nextId++,
+            customerId: customer.id,
+            recipeId: recipe.id,
+            patience: patience,
+            patienceLeft: patience,
+            tip: minTip + Math.floor(rng() * (maxTip - minTip + 1))
+        };
+    },
+    
+    /**
+     * Let time pass: patience drains and customers come and go
+     * @param {number} delta - Milliseconds
+     * @returns {object} { arrived: [order], left: [order] }
+     */
+    update: function(delta) {
+        if (this.serving) {
+            this.serving.patienceLeft = Math.max(0, this.serving.patienceLeft - delta);
+        }
+        
+        const left = [];
+        this.queue = this.queue.filter(order => {
+            order.patienceLeft = Math.max(0, order.patienceLeft - delta);
+            if (order.patienceLeft > 0) return true;
+            left.push(order);
+            return false;
+        });
+        this.walkouts += left.length;
+        
+        const arrived = [];
+        this.arrivalTimer -= delta;
+        if (this.arrivalTimer <= 0) {
+            this.arrivalTimer = GAME_CONFIG.COUNTER_ARRIVAL_SECONDS * 1000;
+            if (this.queue.length + (this.serving ? 1 : 0) < GAME_CONFIG.COUNTER_QUEUE_SIZE) {
+                const order = this.createOrder();
+                this.queue.push(order);
+                arrived.push(order);
+            }
+        }
+        
+        return { arrived: arrived, left: left };
+    },
+    
+    /**
+     * Start cooking a waiting order
+     * @returns {object|null} The order, or null if it is gone (or another is being cooked)
+     */
+    takeOrder: function(orderId) {
+        const order = this.queue.find(candidate => candidate.id === orderId);
+        if (!order || this.serving) return null;
+        
+        this.queue = this.queue.filter(candidate => candidate !== order);
+        this.serving = order;
+        return order;
+    },
+    
+    /**
+     * Stop cooking without serving; the customer gets back in line first
+     */
+    returnOrder: function() {
+        if (!this.serving) return;
+        this.queue.unshift(this.serving);
+        this.serving = null;
+    },
+    
+    /**
+     * What a customer pays: price and tip scale with the rating (COUNTER_STAR_PAY);
+     * the price keeps at least COUNTER_MIN_PATIENCE_PAY as patience runs low,
+     * the tip shrinks to nothing
+     * @param {number} stars - 0-3
+     * @returns {object} { price, tip, total }
+     */
+    getPayment: function(order, stars) {
+        const recipe = RecipeSystem.getRecipeById(order.recipeId);
+        const prices = GAME_CONFIG.COUNTER_ORDER_PRICES;
+        const basePrice = prices[recipe && recipe.difficulty] || prices.Normal;
+        
+        const starScale = GAME_CONFIG.COUNTER_STAR_PAY[stars] || 0;
+        const patienceShare = order.patience > 0 ? order.patienceLeft / order.patience : 0;
+        const minPay = GAME_CONFIG.COUNTER_MIN_PATIENCE_PAY;
+        
+        const price = Math.round(basePrice * starScale * (minPay + (1 - minPay) * patienceShare));
+        const tip = Math.round(order.tip * starScale * patienceShare);
+        return { price: price, tip: tip, total: price + tip };
+    },
+    
+    /**
+     * Serve the order being cooked and collect payment
+     * @returns {object|null} { order, price, tip, total }
+     */
+    completeOrder: function(stars) {
+        const order = this.serving;
+        if (!order) return null;
+        
+        const payment = this.getPayment(order, stars);
+        this.serving = null;
+        GameState.gold += payment.total;
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['gold'], state: GameState });
+        
+        return { order: order, ...payment };
+    },
+    
+    /**
+     * The order being cooked was ruined; the customer leaves without paying
+     * @returns {object|null} { order, price, tip, total }
+     */
+    failOrder: function() {
+        const order = this.serving;
+        if (!order) return null;
+        
+        this.serving = null;
+        return { order: order, price: 0, tip: 0, total: 0 };
+    }
+};
+
+// =============================================================================
+// DUNGEON SYSTEM
+// =============================================================================
+
+/**
+ * DungeonSystem - Dungeon run state, floor maps and node resolution
+ * 
+ * RUN STATE (GameState.run, null when no run is active):
+ * { map: [[node, ...], ...], row: 0, path: [nodeIndex, ...] }
+ * 
+ * Each floor is a map of rows; the player picks one node per row and the
+ * last row is always a combat guardian. Clearing the last row climbs to the
+ * next floor (GameState.floor). Node: { type, recipeId?, guardian?, done }
+ * 
+ * NODE TYPES:
+ * - feeding: Feeding puzzle with a recipe picked for the floor (FeedingPuzzleScene)
+ * - combat: Ability-tile fight against a floor-scaled enemy (CombatScene)
+ * - shop: Spend gold in ShopScene (prices scale with the floor)
+ * - rest: Recover hp and stamina
+ * 
+ * Floors scale difficulty: deeper floors pick harder recipes
+ * (DUNGEON_FLOOR_DIFFICULTIES) with tighter move limits, tougher enemies
+ * and bigger gold rewards. The run ends when the pet's hp reaches 0.
+ */
+const DungeonSystem = {
+    NODE_TYPES: {
+        feeding: { label: 'Feed', icon: '🥪', color: 0x4ECDC4 },
+        combat: { label: 'Fight', icon: '⚔', color: 0xE74C3C },
+        shop: { label: 'Shop', icon: '💰', color: 0xF7B731 },
+        rest: { label: 'Rest', icon: '🔥', color: 0x8E44AD }
+    },
+    
+    /**
+     * Check whether a dungeon run is in progress
+     */
+    isRunActive: function() {
+        return GameState.run !== null;
+    },
+    
+    /**
+     * Start a new run on floor 1
+     * @param {function} rng - Random source (0..1), GameRandom.random by default
+     */
+    startRun: function(rng = GameRandom.random) {
+        GameState.floor = 1;
+        GameState.run = { map: this.generateFloor(1, rng), row: 0, path: [] };
+        
+        GameEvents.emit(GameEvents.EVENTS.FLOOR_CHANGED, { floor: GameState.floor });
+        this.saveProgress(['floor', 'run']);
+    },
+    
+    /**
+     * Build a floor map: DUNGEON_ROWS_PER_FLOOR rows, the last one a guardian fight
+     * Every row keeps a node that needs no ingredients, so a run never stalls on
+     * recipes the player can't cook.
+     * @param {number} floor - Floor number
+     * @param {function} rng - Random source (0..1)
+     * @returns {array} Rows of nodes
+     */
+    generateFloor: function(floor, rng = GameRandom.random) {
+        const rows = [];
+        
+        for (let row = 0; row < GAME_CONFIG.DUNGEON_ROWS_PER_FLOOR - 1; row++) {
+            const choices = 1 + Math.floor(rng() * GAME_CONFIG.DUNGEON_MAX_CHOICES);
+            const nodes = [];
+            for (let i = 0; i < choices; i++) {
+                nodes.push(this.createNode(this.pickNodeType(rng), floor, rng));
+            }
+            if (nodes.every(node => node.type === 'feeding')) {
+                nodes[nodes.length - 1] = this.createNode('combat', floor, rng);
+            }
+            rows.push(nodes);
+        }
+        
+        const guardian = this.createNode('combat', floor, rng);
+        guardian.guardian = true;
+        rows.push([guardian]);
+        return rows;
+    },
+    
+    /**
+     * Weighted pick from DUNGEON_NODE_WEIGHTS
+     */
+    pickNodeType: function(rng) {
+        const weights = GAME_CONFIG.DUNGEON_NODE_WEIGHTS;
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        let roll = rng() * total;
+        
+        for (const type of Object.keys(weights)) {
+            roll -= weights[type];
+            if (roll < 0) return type;
+        }
+        return 'feeding';
+    },
+    
+    createNode: function(type, floor, rng) {
+        const node = { type: type, done: false };
+        if (type === 'feeding') {
+            node.recipeId = this.pickRecipe(floor, rng).id;
+        }
+        return node;
+    },
+    
+    /**
+     * Difficulties allowed on a floor (the last table entry covers deeper floors)
+     */
+    getFloorDifficulties: function(floor) {
+        const table = GAME_CONFIG.DUNGEON_FLOOR_DIFFICULTIES;
+        return table[Math.min(floor, table.length) - 1];
+    },
+    
+    /**
+     * Random unlocked recipe suited to the floor (any unlocked recipe if none match)
+     * Recipes the inventory can cook right now are preferred.
+     */
+    pickRecipe: function(floor, rng = GameRandom.random) {
+        const unlocked = RecipeSystem.getAllRecipes().filter(recipe => RecipeSystem.isUnlocked(recipe));
+        const difficulties = this.getFloorDifficulties(floor);
+        const suited = unlocked.filter(recipe => difficulties.includes(recipe.difficulty || 'Normal'));
+        const candidates = suited.length > 0 ? suited : unlocked;
+        const craftable = candidates.filter(recipe => InventorySystem.canCraft(recipe));
+        const pool = craftable.length > 0 ? craftable : candidates;
+        return pool[Math.floor(rng() * pool.length)];
+    },
+    
+    /**
+     * Nodes the player can enter now (the current row)
+     */
+    getCurrentRow: function() {
+        return this.isRunActive() ? GameState.run.map[GameState.run.row] : [];
+    },
+    
+    /**
+     * Move limit for a puzzle on the current floor (recipe limit shrinks with depth)
+     * @param {number} maxMoves - Recipe move limit
+     * @param {number} optimalMoves - Recipe 3-star cap (the limit never drops to it)
+     */
+    getMoveLimit: function(maxMoves, optimalMoves) {
+        if (!this.isRunActive()) return maxMoves;
+        
+        const scale = Math.max(GAME_CONFIG.DUNGEON_MIN_MOVE_LIMIT_SCALE,
+            1 - GAME_CONFIG.DUNGEON_MOVE_LIMIT_SCALE_PER_FLOOR * (GameState.floor - 1));
+        return Math.max(optimalMoves + 1, Math.floor(maxMoves * scale));
+    },
+    
+    /**
+     * Reward multiplier for the current floor (1 outside a run)
+     */
+    getRewardScale: function() {
+        if (!this.isRunActive()) return 1;
+        return 1 + GAME_CONFIG.DUNGEON_GOLD_SCALE_PER_FLOOR * (GameState.floor - 1);
+    },
+    
+    /**
+     * Pay gold for a completed puzzle according to its rating
+     * @param {number} stars - Rating stars (0-3)
+     * @returns {number} Gold awarded
+     */
+    awardPuzzleGold: function(stars) {
+        const gold = Math.round((GAME_CONFIG.GOLD_BY_STARS[stars] || 0) * this.getRewardScale());
+        GameState.gold += gold;
+        return gold;
+    },
+    
+    /**
+     * Mark the chosen node in the current row done and move on
+     * Clearing the last row climbs to the next floor.
+     * 
+     * @param {number} index - Node index in the current row
+     */
+    completeNode: function(index) {
+        const run = GameState.run;
+        run.map[run.row][index].done = true;
+        run.path.push(index);
+        run.row++;
+        
+        if (run.row >= run.map.length) {
+            this.advanceFloor();
+        } else {
+            this.saveProgress(['run']);
+        }
+    },
+    
+    /**
+     * Climb to the next floor with a fresh map
+     */
+    advanceFloor: function(rng = GameRandom.random) {
+        GameState.floor++;
+        GameState.deepestFloor = Math.max(GameState.deepestFloor, GameState.floor);
+        GameState.run = { map: this.generateFloor(GameState.floor, rng), row: 0, path: [] };
+        
+        PetSystem.onFloorAdvance();
+        BuffSystem.tick('floors');
+        
+        GameEvents.emit(GameEvents.EVENTS.FLOOR_CHANGED, { floor: GameState.floor });
+        this.saveProgress(['floor', 'deepestFloor', 'run', 'activeBuffs']);
+    },
+    
+    /**
+     * Resolve a rest node: recover hp and stamina
+     * @returns {string} Message for the player
+     */
+    rest: function(index) {
+        const maxHp = BuffSystem.getEffectiveStat('maxHp');
+        const healed = BuffSystem.restore('hp', Math.round(maxHp * GAME_CONFIG.DUNGEON_REST_HEAL));
+        const rested = BuffSystem.restore('stamina', GAME_CONFIG.DUNGEON_REST_STAMINA);
+        
+        this.completeNode(index);
+        return `Your pet naps by the fire. +${healed} hp, +${rested} stamina`;
+    },
+    
+    /**
+     * Enemy stats for the current floor (guardians hit harder)
+     * @param {boolean} guardian - True for the floor's last fight
+     */
+    createEnemy: function(guardian = false) {
+        const floor = GameState.floor;
+        const base = GAME_CONFIG.DUNGEON_ENEMY_BASE;
+        const growth = GAME_CONFIG.DUNGEON_ENEMY_GROWTH;
+        const scale = guardian ? GAME_CONFIG.DUNGEON_GUARDIAN_SCALE : 1;
+        return {
+            name: guardian ? `Floor ${floor} Guardian` : 'Dungeon Lurker',
+            hp: Math.round((base.hp + growth.hp * (floor - 1)) * scale),
+            attack: Math.round((base.attack + growth.attack * (floor - 1)) * scale),
+            defense: base.defense + growth.defense * (floor - 1)
+        };
+    },
+    
+    /**
+     * Pay the bounty for a won fight
+     * @returns {number} Gold awarded
+     */
+    awardCombatGold: function(guardian = false) {
+        const bounty = GAME_CONFIG.DUNGEON_COMBAT_GOLD * (guardian ? GAME_CONFIG.DUNGEON_GUARDIAN_SCALE : 1);
+        const gold = Math.round(bounty * this.getRewardScale());
+        GameState.gold += gold;
+        return gold;
+    },
+    
+    /**
+     * Loot for a won fight
+     * @returns {array} Ingredients added { id, count }
+     */
+    awardCombatDrops: function(guardian = false) {
+        const drops = Math.round(GAME_CONFIG.DUNGEON_COMBAT_DROPS * (guardian ? GAME_CONFIG.DUNGEON_GUARDIAN_SCALE : 1));
+        return InventorySystem.addDrops(drops);
+    },
+    
+    /**
+     * Clear a node the player just played in another scene (puzzle or combat)
+     * Does nothing if the run ended meanwhile.
+     */
+    finishNode: function(index) {
+        if (this.isRunActive()) {
+            this.completeNode(index);
+        }
+    },
+    
+    /**
+     * End the run if the pet has no hp left
+     * @returns {boolean} True if the run ended
+     */
+    checkDefeat: function() {
+        if (!this.isRunActive() || GameState.petStats.hp > 0) return false;
+        this.endRun('defeat');
+        return true;
+    },
+    
+    /**
+     * End the run: back to floor 1 with a recovered pet (a defeat also drops gold)
+     * @param {string} reason - 'defeat' or 'abandon'
+     */
+    endRun: function(reason) {
+        const floor = GameState.floor;
+        const goldLost = reason === 'defeat' ? Math.floor(GameState.gold * GAME_CONFIG.DUNGEON_DEFEAT_GOLD_LOSS) : 0;
+        
+        GameState.lastRun = { floor: floor, reason: reason, goldLost: goldLost };
+        GameState.gold -= goldLost;
+        GameState.floor = 1;
+        GameState.run = null;
+        GameState.activeBuffs = [];
+        
+        // The pet is nursed back to health between runs
+        GameState.petStats.hp = GameState.petStats.maxHp;
+        GameState.petStats.hunger = SaveSystem.defaults.petStats.hunger;
+        GameState.petStats.stamina = SaveSystem.defaults.petStats.stamina;
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[DungeonSystem] Run ended:', GameState.lastRun);
+        }
+        
+        GameEvents.emit(GameEvents.EVENTS.RUN_ENDED, { ...GameState.lastRun });
+        GameEvents.emit(GameEvents.EVENTS.FLOOR_CHANGED, { floor: GameState.floor });
+        this.saveProgress(['lastRun', 'gold', 'floor', 'run', 'activeBuffs', 'petStats']);
+    },
+    
+    /**
+     * Publish state:changed and autosave after a dungeon step
+     */
+    saveProgress: function(keys) {
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: keys, state: GameState });
+        if (GAME_CONFIG.AUTOSAVE) {
+            SaveSystem.save();
+        }
+    }
+};
+
+// =============================================================================
+// COMBAT SYSTEM
+// =============================================================================
+
+/**
+ * Ability tile definitions (same shape as INGREDIENTS so GridManager can draw them)
+ * - effect: 'attack' damages the enemy, 'block' adds a shield, 'heal' restores hp
+ */
+const ABILITY_TILES = [
+    { id: 'strike', name: 'Strike', color: 0xE74C3C, sprite: null, effect: 'attack' },
+    { id: 'guard',  name: 'Guard',  color: 0x3498DB, sprite: null, effect: 'block' },
+    { id: 'mend',   name: 'Mend',   color: 0x2ECC71, sprite: null, effect: 'heal' }
+];
+
+/**
+ * CombatSystem - Rules for the ability-tile fight (CombatScene draws it)
+ * 
+ * The player slides ability tiles on a PuzzleBoard. Every move is a turn.
+ * A row or column filled with one ability fires it:
+ * - attack: effective attack x COMBAT_STRIKE_MULTIPLIER minus enemy defense
+ * - block: effective defense x COMBAT_GUARD_MULTIPLIER shield for the next hit
+ * - heal: COMBAT_MEND_HEAL of effective maxHp
+ * Fired tiles are replaced with fresh random abilities.
+ * 
+ * The enemy strikes every COMBAT_ENEMY_ATTACK_INTERVAL turns; the shield
+ * soaks the hit first. Pet stats come from BuffSystem, so recipe buffs count,
+ * and buffs measured in 'turns' tick down each turn.
+ */
+const CombatSystem = {
+    /**
+     * Tile lookup for GridManager (same interface as IngredientRegistry.get)
+     */
+    get: function(abilityId) {
+        return ABILITY_TILES.find(ability => ability.id === abilityId) || null;
+    },
+    
+    /**
+     * Start a fight against a floor enemy
+     * @param {object} enemy - From DungeonSystem.createEnemy()
+     * @returns {object} Combat state
+     */
+    createState: function(enemy) {
+        return {
+            enemy: { ...enemy, maxHp: enemy.hp },
+            shield: 0,
+            turns: 0,
+            countdown: GAME_CONFIG.COMBAT_ENEMY_ATTACK_INTERVAL,
+            startHp: GameState.petStats.hp
+        };
+    },
+    
+    randomAbility: function(rng = GameRandom.random) {
+        return ABILITY_TILES[Math.floor(rng() * ABILITY_TILES.length)].id;
+    },
+    
+    /**
+     * Random tile sequence for a new board that has no line ready to fire
+     * @param {number} gridSize - Board size
+     * @param {function} rng - Random source (0..1)
+     * @returns {array} Ability ids in reading order (one hole at the end)
+     */
+    createSequence: function(gridSize, rng = GameRandom.random) {
+        let sequence = [];
+        for (let attempt = 0; attempt < GAME_CONFIG.COMBAT_REROLL_ATTEMPTS; attempt++) {
+            sequence = Array.from({ length: gridSize * gridSize - 1 }, () => this.randomAbility(rng));
+            if (this.findLines(PuzzleBoard.create(gridSize, sequence)).length === 0) break;
+        }
+        return sequence;
+    },
+    
+    /**
+     * Rows and columns filled with a single ability
+     * @param {object} board - PuzzleBoard state
+     * @returns {array} { ability, cells: [{ row, col }] }
+     */
+    findLines: function(board) {
+        const lines = [];
+        const size = board.size;
+        
+        for (let i = 0; i < size; i++) {
+            const rowCells = [];
+            const colCells = [];
+            for (let j = 0; j < size; j++) {
+                rowCells.push({ row: i, col: j });
+                colCells.push({ row: j, col: i });
+            }
+            [rowCells, colCells].forEach(cells => {
+                const first = board.grid[cells[0].row][cells[0].col];
+                if (first === PuzzleBoard.EMPTY) return;
+                if (cells.every(cell => board.grid[cell.row][cell.col] === first)) {
+                    lines.push({ ability: first, cells: cells });
+                }
+            });
+        }
+        
+        return lines;
+    },
+    
+    /**
+     * Fire every completed line and deal new abilities into its cells
+     * @param {object} state - Combat state
+     * @param {object} board - PuzzleBoard state (fired cells are rewritten)
+     * @param {function} rng - Random source (0..1)
+     * @returns {object} { messages, cells: [{ row, col, value }] } - log lines and rerolled cells
+     */
+    resolveLines: function(state, board, rng = GameRandom.random) {
+        const lines = this.findLines(board);
+        const messages = lines.map(line => this.fireLine(state, line.ability));
+        
+        // A cell can close a row and a column at once; clear each one once
+        const cells = [];
+        lines.forEach(line => line.cells.forEach(cell => {
+            if (board.grid[cell.row][cell.col] === PuzzleBoard.EMPTY) return;
+            board.grid[cell.row][cell.col] = PuzzleBoard.EMPTY;
+            cells.push(cell);
+        }));
+        
+        // Deal replacements one by one, avoiding a new line where possible
+        cells.forEach(cell => {
+            for (let attempt = 0; attempt < GAME_CONFIG.COMBAT_REROLL_ATTEMPTS; attempt++) {
+                board.grid[cell.row][cell.col] = this.randomAbility(rng);
+                if (this.findLines(board).length === 0) break;
+            }
+            cell.value = board.grid[cell.row][cell.col];
+        });
+        
+        return { messages, cells };
+    },
+    
+    /**
+     * Fire one line's ability
+     * @param {object} state - Combat state
+     * @param {string} abilityId - Ability in the line
+     * @returns {string} Log message
+     */
+    fireLine: function(state, abilityId) {
+        const ability = this.get(abilityId);
+        
+        if (ability.effect === 'attack') {
+            const attack = BuffSystem.getEffectiveStat('attack');
+            const damage = Math.max(1, Math.round(attack * GAME_CONFIG.COMBAT_STRIKE_MULTIPLIER) - state.enemy.defense);
+            state.enemy.hp = Math.max(0, state.enemy.hp - damage);
+            return `Strike! ${damage} damage`;
+        }
+        
+        if (ability.effect === 'block') {
+            const shield = Math.round(BuffSystem.getEffectiveStat('defense') * GAME_CONFIG.COMBAT_GUARD_MULTIPLIER);
+            state.shield += shield;
+            return `Guard! +${shield} shield`;
+        }
+        
+        const healed = BuffSystem.restore('hp', Math.round(BuffSystem.getEffectiveStat('maxHp') * GAME_CONFIG.COMBAT_MEND_HEAL));
+        return `Mend! +${healed} hp`;
+    },
+    
+    /**
+     * Damage the enemy's next attack will deal before the shield
+     */
+    getEnemyDamage: function(state) {
+        return Math.max(1, state.enemy.attack - BuffSystem.getEffectiveStat('defense'));
+    },
+    
+    /**
+     * End of a player turn: buffs tick and the enemy attacks when its countdown runs out
+     * @param {object} state - Combat state
+     * @returns {string|null} Log message if the enemy attacked
+     */
+    endTurn: function(state) {
+        state.turns++;
+        BuffSystem.tick('turns');
+        
+        if (state.enemy.hp <= 0) return null;
+        
+        state.countdown--;
+        if (state.countdown > 0) return null;
+        
+        state.countdown = GAME_CONFIG.COMBAT_ENEMY_ATTACK_INTERVAL;
+        const damage = this.getEnemyDamage(state);
+        const absorbed = Math.min(state.shield, damage);
+        state.shield = 0;
+        GameState.petStats.hp = Math.max(0, GameState.petStats.hp - (damage - absorbed));
+        
+        return absorbed > 0 ?
+            `${state.enemy.name} hits for ${damage} (${absorbed} blocked)` :
+            `${state.enemy.name} hits for ${damage}`;
+    },
+    
+    /**
+     * Star rating from the share of hp the pet kept
+     */
+    calculateRating: function(state) {
+        const kept = state.startHp > 0 ? GameState.petStats.hp / state.startHp : 0;
+        const thresholds = GAME_CONFIG.COMBAT_RATING_HP_KEPT;
+        
+        if (kept >= thresholds.threeStars) return '⭐⭐⭐';
+        if (kept >= thresholds.twoStars) return '⭐⭐';
+        return '⭐';
+    }
+};
+
+// =============================================================================
+// REPLAY SYSTEM
+// =============================================================================
+
+/**
+ * ReplaySystem - Records feeding puzzles as ReplayLog replays (DD-puzzle-core.js)
+ * Recording starts when the shuffle hands over to the player (scene.replay) and
+ * every slide after that is logged: player moves, undos and redos. Finished
+ * replays are kept in localStorage (newest first) for ReplayScene.
+ * 
+ * Exporting: ReplaySystem.export(replay) returns compact JSON; a tester's JSON
+ * goes back in with ReplaySystem.import(text) (ReplayScene's IMPORT link) and
+ * shows up in getRecent().
+ */
+const ReplaySystem = {
+    STORAGE_KEY: 'dungeonDeli.replays',
+    
+    // Finished replays, newest first (null until read from storage)
+    recent: null,
+    
+    /**
+     * Begin recording the puzzle the player is about to solve
+     */
+    start: function(scene) {
+        scene.replay = GAME_CONFIG.REPLAY_RECORDING ? ReplayLog.create(scene.board, {
+            recipeId: GameState.currentRecipe ? GameState.currentRecipe.id : null,
+            seed: scene.shuffleSeed,
+            par: scene.par,
+            maxMoves: GameModes.hasMoveLimit(scene) ? GAME_CONFIG.MAX_MOVES : null
+        }) : null;
+    },
+    
+    /**
+     * Log a slide on the scene's replay (no-op when not recording)
+     * @param {object} move - applyMove result or { row, col, to }
+     * @param {string} kind - 'move', 'undo' or 'redo'
+     */
+    record: function(scene, move, kind = 'move') {
+        if (!scene.replay) return;
+        ReplayLog.record(scene.replay, move, Date.now() - scene.replay.recordedAt, kind);
+    },
+    
+    /**
+     * Stop recording and keep the replay
+     * @param {string} result - 'win' or 'fail'
+     * @returns {object|null} The finished replay
+     */
+    finish: function(scene, result) {
+        const replay = scene.replay;
+        if (!replay) return null;
+        
+        replay.result = result;
+        scene.replay = null;
+        this.keep(replay);
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[ReplaySystem] Replay:', this.export(replay));
+        }
+        return replay;
+    },
+    
+    /**
+     * Add a replay to the recent list and store the list
+     */
+    keep: function(replay) {
+        const recent = this.getRecent();
+        recent.unshift(replay);
+        recent.length = Math.min(recent.length, GAME_CONFIG.REPLAY_KEEP_COUNT);
+        
+        const storage = SaveSystem.getStorage();
+        if (!storage) return;
+        try {
+            storage.setItem(this.STORAGE_KEY, JSON.stringify(recent));
+        } catch (error) {
+            console.warn('[ReplaySystem] Could not store replays:', error);
+        }
+    },
+    
+    /**
+     * Finished replays, newest first
+     * @returns {array}
+     */
+    getRecent: function() {
+        if (this.recent) return this.recent;
+        
+        this.recent = [];
+        const storage = SaveSystem.getStorage();
+        try {
+            const stored = storage ? JSON.parse(storage.getItem(this.STORAGE_KEY)) : null;
+            if (Array.isArray(stored)) {
+                this.recent = stored.filter(replay => ReplayLog.fromJSON(JSON.stringify(replay)));
+            }
+        } catch (error) {
+            console.warn('[ReplaySystem] Ignoring unreadable replays:', error);
+        }
+        return this.recent;
+    },
+    
+    getLast: function() {
+        return this.getRecent()[0] || null;
+    },
+    
+    /**
+     * @returns {string} Compact JSON (ReplayLog.toJSON)
+     */
+    export: function(replay) {
+        return ReplayLog.toJSON(replay);
+    },
+    
+    /**
+     * Add an exported replay to the recent list
+     * @param {string} text - Replay JSON
+     * @returns {object|null} The replay, or null if it isn't a playable replay
+     */
+    import: function(text) {
+        const replay = ReplayLog.fromJSON(text);
+        if (!replay) {
+            console.warn('[ReplaySystem] Not a playable replay');
+            return null;
+        }
+        
+        this.keep(replay);
+        return replay;
+    }
+};
+
+// =============================================================================
+// DAILY SPECIAL
+// =============================================================================
+
+/**
+ * DailySpecial - One puzzle per day, the same for every player
+ * The UTC date picks the recipe and the scramble seed, so players in any
+ * time zone share a board. Unlocks and ingredients don't apply: the Daily
+ * Special is on the house. GameState.daily keeps today's best result.
+ */
+const DailySpecial = {
+    /**
+     * @param {Date} date - Defaults to now
+     * @returns {string} UTC date 'YYYY-MM-DD'
+     */
+    getDateKey: function(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    },
+    
+    /**
+     * Scramble seed for a day
+     * @returns {number}
+     */
+    getSeed: function(dateKey = this.getDateKey()) {
+        return SeededRandom.seedFromString(`${GAME_CONFIG.DAILY_SEED_SALT}:${dateKey}`);
+    },
+    
+    /**
+     * Recipe for a day (recipes sorted by id, so pack load order doesn't matter)
+     * @returns {object} Recipe
+     */
+    getRecipe: function(dateKey = this.getDateKey()) {
+        const recipes = RecipeSystem.getAllRecipes()
+            .filter(recipe => RecipeSystem.validateRecipe(recipe))
+            .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        const special = recipes.filter(recipe => GAME_CONFIG.DAILY_SPECIAL_DIFFICULTIES.includes(recipe.difficulty));
+        const pool = special.length > 0 ? special : recipes;
+        
+        const rng = SeededRandom.create(SeededRandom.seedFromString(`${GAME_CONFIG.DAILY_SEED_SALT}:recipe:${dateKey}`));
+        return pool[Math.floor(rng() * pool.length)];
+    },
+    
+    /**
+     * Today's best result, or null if the Daily Special hasn't been solved today
+     * @returns {object|null} { date, stars, moves }
+     */
+    getBest: function(dateKey = this.getDateKey()) {
+        const daily = GameState.daily;
+        return daily && daily.date === dateKey ? daily : null;
+    },
+    
+    /**
+     * Keep a win if it beats today's best (more stars, then fewer moves)
+     * @returns {boolean} True if it is a new best
+     */
+    recordResult: function(dateKey, stars, moves) {
+        const best = this.getBest(dateKey);
+        if (best && (best.stars > stars || (best.stars === stars && best.moves <= moves))) return false;
+        
+        GameState.daily = { date: dateKey, stars: stars, moves: moves };
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['daily'], state: GameState });
+        return true;
+    }
+};
+
+// =============================================================================
+// GAME MODES
+// =============================================================================
+
+/**
+ * GameModes - How a feeding puzzle is limited and rated (scene.mode)
+ * 
+ * - moves: Classic move limit (MAX_MOVES), rated against par by calculateRating
+ * - time:  Time Attack countdown per recipe, rated by the share of time left
+ * - rush:  Rush Hour, orders back to back on one clock; each served order adds
+ *          time and the rush ends when it runs out. Rated by time spent per par move
+ * - zen:   No limits; rated against par but never below one star
+ * 
+ * The clock runs in FeedingPuzzleScene.update() from puzzle:start until the
+ * puzzle is won or failed. Dungeon nodes and the Daily Special always use 'moves'.
+ */
+const GameModes = {
+    MODES: {
+        moves: { name: 'Classic', description: 'Follow the recipe!', moveLimit: true, timer: null },
+        time: { name: 'Time Attack', description: 'Beat the clock!', moveLimit: false, timer: 'recipe' },
+        rush: { name: 'Rush Hour', description: 'Orders keep coming, time carries over', moveLimit: false, timer: 'carry' },
+        zen: { name: 'Zen', description: 'No move limit, no clock', moveLimit: false, timer: null }
+    },
+    
+    // Mode picked in the recipe book this session (null = GAME_CONFIG.GAME_MODE)
+    selected: null,
+    
+    /**
+     * Mode definition (unknown ids are Classic)
+     */
+    get: function(modeId) {
+        return this.MODES[modeId] || this.MODES.moves;
+    },
+    
+    getSelected: function() {
+        if (this.MODES[this.selected]) return this.selected;
+        return this.MODES[GAME_CONFIG.GAME_MODE] ? GAME_CONFIG.GAME_MODE : 'moves';
+    },
+    
+    /**
+     * Pick the next mode for the recipe book
+     * @returns {string} The newly selected mode id
+     */
+    cycleSelected: function() {
+        const ids = Object.keys(this.MODES);
+        this.selected = ids[(ids.indexOf(this.getSelected()) + 1) % ids.length];
+        return this.selected;
+    },
+    
+    /**
+     * Whether reaching MAX_MOVES fails the scene's puzzle
+     */
+    hasMoveLimit: function(scene) {
+        return this.get(scene.mode).moveLimit;
+    },
+    
+    isTimed: function(scene) {
+        return this.get(scene.mode).timer !== null;
+    },
+    
+    /**
+     * Time Attack countdown for a recipe
+     * @returns {number} Milliseconds
+     */
+    getTimeLimit: function(recipe) {
+        const byDifficulty = GAME_CONFIG.TIME_ATTACK_SECONDS;
+        const seconds = (recipe && recipe.timeLimit) ||
+            byDifficulty[recipe && recipe.difficulty] || byDifficulty.Normal;
+        return seconds * 1000;
+    },
+    
+    /**
+     * Fresh Rush Hour progress (carried from order to order in scene data)
+     */
+    startRush: function() {
+        return { orders: 0, stars: 0, gold: 0, timeLeft: GAME_CONFIG.RUSH_HOUR_START_SECONDS * 1000 };
+    },
+    
+    /**
+     * Set the scene's clock before the shuffle (shown, not yet running)
+     */
+    setupScene: function(scene, recipe) {
+        scene.timerRunning = false;
+        scene.timeSpent = 0;
+        scene.timedOut = false;
+        
+        if (scene.mode === 'time') {
+            scene.timeLimit = this.getTimeLimit(recipe);
+            scene.timeLeft = scene.timeLimit;
+        } else if (scene.mode === 'rush') {
+            scene.timeLimit = null;
+            scene.timeLeft = scene.rush.timeLeft;
+        } else {
+            scene.timeLimit = null;
+            scene.timeLeft = null;
+        }
+    },
+    
+    /**
+     * Start the clock once the shuffle hands over (puzzle:start)
+     * A reset restarts the Time Attack countdown; Rush Hour keeps its clock.
+     */
+    startTimer: function(scene) {
+        if (!this.isTimed(scene)) return;
+        
+        if (scene.mode === 'time') scene.timeLeft = scene.timeLimit;
+        scene.timeSpent = 0;
+        scene.timerRunning = true;
+        updateMoveText(scene);
+    },
+    
+    /**
+     * Run the clock for one frame; time running out fails the puzzle
+     * @param {number} delta - Milliseconds since the last frame
+     */
+    tick: function(scene, delta) {
+        if (!scene.timerRunning || isShuffling) return;
+        if (isWon || hasFailed) {
+            scene.timerRunning = false;
+            return;
+        }
+        
+        const shown = Math.ceil(scene.timeLeft / 1000);
+        scene.timeLeft = Math.max(0, scene.timeLeft - delta);
+        scene.timeSpent += delta;
+        if (Math.ceil(scene.timeLeft / 1000) !== shown) updateMoveText(scene);
+        
+        if (scene.timeLeft <= 0) {
+            scene.timerRunning = false;
+            scene.timedOut = true;
+            scene.failText.setText(scene.mode === 'rush' ? 'Rush hour is over!' : "Time's up!");
+            triggerFailState(scene);
+        }
+    },
+    
+    /**
+     * Star rating for a solved puzzle under the scene's mode
+     * @returns {string} ⭐⭐⭐, ⭐⭐, ⭐ or 💀
+     */
+    calculateRating: function(scene) {
+        const moves = scene.board.moveCount;
+        
+        if (scene.mode === 'time') {
+            const left = scene.timeLeft / scene.timeLimit;
+            const thresholds = GAME_CONFIG.TIME_RATING_TIME_LEFT;
+            if (left >= thresholds.threeStars) return '⭐⭐⭐';
+            if (left >= thresholds.twoStars) return '⭐⭐';
+            return '⭐';
+        }
+        
+        if (scene.mode === 'rush') {
+            const perMove = scene.timeSpent / 1000 / (scene.par || GAME_CONFIG.OPTIMAL_MOVES);
+            const thresholds = GAME_CONFIG.RUSH_RATING_SECONDS_PER_PAR_MOVE;
+            if (perMove <= thresholds.threeStars) return '⭐⭐⭐';
+            if (perMove <= thresholds.twoStars) return '⭐⭐';
+            if (perMove <= thresholds.oneStar) return '⭐';
+            return '💀';
+        }
+        
+        const rating = calculateRating(moves, scene.par);
+        return scene.mode === 'zen' && rating === '💀' ? '⭐' : rating;
+    },
+    
+    /**
+     * Bank a served Rush Hour order and bring in the next one
+     * @param {object} payload - puzzle:complete payload
+     */
+    serveRushOrder: function(scene, payload) {
+        const rush = scene.rush;
+        const stars = getRatingStars(payload.rating);
+        const bonus = GAME_CONFIG.RUSH_HOUR_BONUS_SECONDS[stars] || 0;
+        
+        rush.orders++;
+        rush.stars += stars;
+        rush.gold += payload.gold || 0;
+        rush.timeLeft = scene.timeLeft + bonus * 1000;
+        showHintMessage(scene, `Order up! +${bonus}s`);
+        
+        const next = this.getRushOrder(payload.recipe ? payload.recipe.id : null);
+        scene.time.delayedCall(GAME_CONFIG.RUSH_HOUR_ORDER_DELAY, () => {
+            switchScene(scene, 'FeedingPuzzleScene', { mode: 'rush', recipeId: next.id, rush: rush });
+        });
+    },
+    
+    /**
+     * Random unlocked recipe for the next Rush Hour order (not the same one twice running)
+     */
+    getRushOrder: function(previousId = null) {
+        const unlocked = RecipeSystem.getAllRecipes().filter(recipe => RecipeSystem.isUnlocked(recipe));
+        const pool = unlocked.length > 1 ? unlocked.filter(recipe => recipe.id !== previousId) : unlocked;
+        return pool[Math.floor(GameRandom.random() * pool.length)] || RECIPES[0];
+    },
+    
+    /**
+     * Clock display, e.g. 1:05 (whole seconds, rounded up)
+     * @param {number} ms - Milliseconds
+     */
+    formatTime: function(ms) {
+        const seconds = Math.ceil(Math.max(0, ms) / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+};
+
+// =============================================================================
+// ACCESSIBILITY
+// =============================================================================
+
+// Colorblind-safe tile colors by ingredient id (Okabe-Ito: tells apart under
+// red-green and blue-yellow color blindness); unlisted ingredients keep their own
+const ACCESSIBILITY_PALETTES = {
+    colorblind: {
+        bread_top: 0xF0E442,
+        lettuce: 0x009E73,
+        tomato: 0xD55E00,
+        cheese: 0xE69F00,
+        patty: 0x0072B2,
+        onion: 0xCC79A7,
+        pickle: 0x56B4E9,
+        bread_bottom: 0xBBBBBB
+    }
+};
+
+// Tile overlays, assigned to ingredients in registry order
+const TILE_PATTERNS = ['stripes', 'dots', 'diagonal', 'grid', 'checker', 'rings', 'cross', 'zigzag'];
+
+/**
+ * AccessibilitySettings - Player display/motion settings and screen-reader announcements
+ * Settings are per device (localStorage), not per save slot; SettingsScene edits them.
+ * 
+ * - palette: 'default' or a key of ACCESSIBILITY_PALETTES
+ * - patterns: Draw TILE_PATTERNS on tiles so color is never the only cue
+ * - reducedMotion: Skip shuffle animations, win/fail tweens and hint pulses
+ *   (null = follow the browser's prefers-reduced-motion)
+ * - largeText: Scale gameplay text by LARGE_TEXT_SCALE
+ * - announcements: Moves, recipe order and win/fail go to the ARIA live
+ *   region in index.html (#a11y-live)
+ */
+const AccessibilitySettings = {
+    STORAGE_KEY: 'dungeonDeli.settings',
+    LIVE_REGION_ID: 'a11y-live',
+    
+    // Current settings (null until load)
+    settings: null,
+    
+    // Set once the GameEvents announcers are subscribed
+    announcing: false,
+    
+    /**
+     * Read stored settings over ACCESSIBILITY_DEFAULTS
+     */
+    load: function() {
+        this.settings = { ...GAME_CONFIG.ACCESSIBILITY_DEFAULTS };
+        
+        const storage = SaveSystem.getStorage();
+        try {
+            const stored = storage ? JSON.parse(storage.getItem(this.STORAGE_KEY)) : null;
+            if (stored && typeof stored === 'object') {
+                Object.keys(this.settings).forEach(key => {
+                    if (key in stored) this.settings[key] = stored[key];
+                });
+            }
+        } catch (error) {
+            console.warn('[AccessibilitySettings] Ignoring unreadable settings:', error);
+        }
+        return this.settings;
+    },
+    
+    get: function(key) {
+        if (!this.settings) this.load();
+        return this.settings[key];
+    },
+    
+    /**
+     * Change and store a setting
+     */
+    set: function(key, value) {
+        if (!this.settings) this.load();
+        this.settings[key] = value;
+        
+        const storage = SaveSystem.getStorage();
+        if (!storage) return;
+        try {
+            storage.setItem(this.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('[AccessibilitySettings] Could not store settings:', error);
+        }
+    },
+    
+    /**
+     * Whether motion should be cut down (setting, else the browser preference)
+     */
+    isReducedMotion: function() {
+        const setting = this.get('reducedMotion');
+        if (setting !== null && setting !== undefined) return setting;
+        
+        return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    },
+    
+    /**
+     * Phaser font size for gameplay text
+     * @param {number} px - Size at normal text
+     * @returns {string} e.g. '20px'
+     */
+    fontSize: function(px) {
+        const scale = this.get('largeText') ? GAME_CONFIG.LARGE_TEXT_SCALE : 1;
+        return `${Math.round(px * scale)}px`;
+    },
+    
+    /**
+     * Tile color under the active palette
+     * @param {string} tileId - Ingredient (or ability) id
+     * @param {number} color - The tile's own color
+     */
+    getTileColor: function(tileId, color) {
+        const palette = ACCESSIBILITY_PALETTES[this.get('palette')];
+        return palette && palette[tileId] !== undefined ? palette[tileId] : color;
+    },
+    
+    /**
+     * Black or white, whichever reads better on a fill color
+     * @returns {string} CSS color
+     */
+    getTextColor: function(color) {
+        const r = (color >> 16) & 0xFF;
+        const g = (color >> 8) & 0xFF;
+        const b = color & 0xFF;
+        return (0.299 * r + 0.587 * g + 0.114 * b) > 140 ? '#000' : '#FFF';
+    },
+    
+    /**
+     * Pattern for a tile: registry order for ingredients, else hashed from the id
+     * @returns {string} One of TILE_PATTERNS
+     */
+    getPattern: function(tileId) {
+        const index = IngredientRegistry.getAll().findIndex(ingredient => ingredient.id === tileId);
+        const slot = index !== -1 ? index : SeededRandom.seedFromString(String(tileId));
+        return TILE_PATTERNS[slot % TILE_PATTERNS.length];
+    },
+    
+    /**
+     * Draw a tile's pattern into its container (between background and label)
+     * @param {number} size - Tile size in pixels
+     * @param {string} ink - Pattern color (CSS, from getTextColor)
+     */
+    drawPattern: function(scene, container, pattern, size, ink) {
+        const graphics = scene.add.graphics();
+        const color = ink === '#FFF' ? 0xFFFFFF : 0x000000;
+        const half = size / 2 - 6;
+        const step = Math.max(8, Math.round(size / 6));
+        
+        graphics.lineStyle(2, color, 0.35);
+        graphics.fillStyle(color, 0.3);
+        
+        for (let offset = -half + step / 2; offset < half; offset += step) {
+            if (pattern === 'stripes' || pattern === 'grid') {
+                graphics.lineBetween(-half, offset, half, offset);
+            }
+            if (pattern === 'grid') {
+                graphics.lineBetween(offset, -half, offset, half);
+            }
+            if (pattern === 'diagonal') {
+                graphics.lineBetween(offset - half / 2, -half, offset + half / 2, half);
+            }
+            if (pattern === 'zigzag') {
+                for (let x = -half; x < half; x += step) {
+                    graphics.lineBetween(x, offset, x + step / 2, offset - step / 3);
+                    graphics.lineBetween(x + step / 2, offset - step / 3, x + step, offset);
+                }
+            }
+            for (let other = -half + step / 2; other < half; other += step) {
+                if (pattern === 'dots') {
+                    graphics.fillCircle(offset, other, 2.5);
+                }
+                if (pattern === 'checker' && Math.round((offset + other) / step) % 2 === 0) {
+                    graphics.fillRect(offset - step / 2, other - step / 2, step, step);
+                }
+            }
+        }
+        if (pattern === 'rings') {
+            for (let radius = step; radius < half; radius += step) {
+                graphics.strokeCircle(0, 0, radius);
+            }
+        }
+        if (pattern === 'cross') {
+            graphics.lineBetween(-half, -half, half, half);
+            graphics.lineBetween(-half, half, half, -half);
+        }
+        
+        container.add(graphics);
+        return graphics;
+    },
+    
+    /**
+     * Speak through the ARIA live region (no-op without the DOM or when turned off)
+     */
+    announce: function(text) {
+        if (!this.get('announcements') || typeof document === 'undefined') return;
+        
+        const region = document.getElementById(this.LIVE_REGION_ID);
+        if (!region) return;
+        
+        // Clearing first makes screen readers repeat identical messages
+        region.textContent = '';
+        setTimeout(() => { region.textContent = text; }, 50);
+    },
+    
+    /**
+     * Announce puzzle events for the whole session (called once at boot)
+     */
+    startAnnouncements: function() {
+        if (this.announcing) return;
+        this.announcing = true;
+        
+        const getTileName = tileId => IngredientRegistry.has(tileId) ?
+            IngredientRegistry.getName(tileId) : (CombatSystem.get(tileId) || { name: String(tileId) }).name;
+        
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_START, payload => {
+            if (!payload.recipe) {
+                this.announce('Fight started. Line up a row or column of one ability.');
+                return;
+            }
+            const order = payload.recipe.sequence.map(id => IngredientRegistry.getName(id)).join(', ');
+            const limit = payload.maxMoves ? ` ${payload.maxMoves} moves allowed.` : '';
+            this.announce(`${payload.recipe.name}. Order: ${order}.${limit}`);
+        });
+        GameEvents.on(GameEvents.EVENTS.TILE_MOVED, payload => {
+            const direction = payload.to.row !== payload.from.row ?
+                (payload.to.row < payload.from.row ? 'up' : 'down') :
+                (payload.to.col < payload.from.col ? 'left' : 'right');
+            this.announce(`${getTileName(payload.tileId)} moved ${direction}. Move ${payload.moveCount}.`);
+        });
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_COMPLETE, payload => {
+            if (payload.combat) {
+                this.announce(`Victory over ${payload.combat.enemy.name}!`);
+            } else {
+                this.announce(`Recipe complete! ${getRatingStars(payload.rating)} stars in ${payload.moves} moves.`);
+            }
+        });
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_FAIL, payload => {
+            if (payload.combat) {
+                this.announce(`Defeated by ${payload.combat.enemy.name}.`);
+            } else {
+                this.announce(`Recipe ruined after ${payload.moves} moves.`);
+            }
+        });
+    }
+};
+
+// =============================================================================
+// GAME CONFIGURATION & TUNABLE CONSTANTS
+// =============================================================================
+
+const GAME_CONFIG = {
+    // Canvas size (Phaser config reads these)
+    CANVAS_WIDTH: 450,
+    CANVAS_HEIGHT: 700,
+    
+    // Grid settings (will be overridden by recipe metadata)
+    GRID_SIZE: 3,
+    MIN_GRID_SIZE: 3,
+    MAX_GRID_SIZE: 5,
+    
+    // Grid layout (TILE_SIZE through GRID_OFFSET_Y are computed by GridManager.applyLayout)
+    GRID_AREA_TOP: 180,
+    GRID_AREA_MAX_SIZE: 380,
+    GRID_AREA_MARGIN: 20,
+    BASE_TILE_SPACING: 10,
+    TILE_SIZE: 120,
+    TILE_SPACING: 10,
+    GRID_OFFSET_X: 35,
+    GRID_OFFSET_Y: 180,
+    
+    // Recipe system
+    RECIPE_MODE: true,
+    DEFAULT_RECIPE_ID: 'leafy_stack',
+    RECIPE_PACKS: [                  // JSON recipe packs next to index.html
+        'recipes/festival-pack.json'
+    ],
+    
+    // Move limits (will be overridden by recipe metadata)
+    OPTIMAL_MOVES: 20,               // Fallback 3-star threshold when par is unknown
+    MAX_MOVES: 50,
+    DIFFICULTY: 'Normal',
+    
+    // Par rating: star thresholds as multiples of the scramble's minimum solution
+    PAR_RATING_MULTIPLIERS: {
+        threeStars: 1.25,
+        twoStars: 1.75,
+        oneStar: 2.5
+    },
+    
+    // Scramble difficulty (optimal solution length, set per recipe)
+    SCRAMBLE_MIN_DEPTH: 10,
+    SCRAMBLE_MAX_DEPTH: 14,
+    SCRAMBLE_DEPTH_BY_DIFFICULTY: {
+        Easy: { min: 6, max: 10 },
+        Normal: { min: 10, max: 14 },
+        Medium: { min: 12, max: 18 },
+        Hard: { min: 18, max: 24 }
+    },
+    SCRAMBLE_DEPTH_GRID_SCALE: 0.25, // Extra depth per grid size above 3x3 (4x4 = +25%)
+    
+    // Animation timing
+    SHUFFLE_MOVE_COUNT: 20,          // Fallback walk length if the solver can't measure a scramble
+    SHUFFLE_MOVE_DURATION: 120,
+    TILE_SLIDE_DURATION: 150,
+    
+    // Visual effects
+    ENABLE_SHUFFLE_BOUNCE: true,
+    ENABLE_HYBRID_SHUFFLE: true,
+    HYBRID_SHUFFLE_COUNT: 6,
+    HYBRID_SWAP_DURATION: 120,
+    WIN_SCALE_DURATION: 600,
+    RECIPE_ORDER_MAX_CHARS: 120,
+    FAIL_DISPLAY_DURATION: 2000,     // Fail message time before ResultsScene
+    HINT_HIGHLIGHT_DURATION: 1200,
+    
+    // Hints (solver-driven)
+    HINT_GOLD_COST: 10,              // Gold per hint when no hint token is held (0 = free)
+    HINT_NODE_LIMIT: 50000,          // Solver nodes per hint; the click handler waits for the search (~30 ms)
+    
+    // Save system (localStorage)
+    AUTOSAVE: true,                  // Save after every puzzle win/fail
+    SAVE_SLOT_COUNT: 3,
+    ACTIVE_SAVE_SLOT: 0,
+    
+    // Buffs (see BuffSystem)
+    DEFAULT_BUFF_DURATION: { unit: 'puzzles', count: 3 },
+    BUFF_STACKING: 'refresh',        // Same recipe again: 'refresh' duration or 'stack' another copy
+    BUFF_CAPS: {                     // Max total temporary bonus per stat
+        attack: 40,
+        defense: 40,
+        maxHp: 50
+    },
+    BUFF_RATING_SCALE: {             // Stars -> fraction of the recipe's buff
+        3: 1,
+        2: 0.66,
+        1: 0.33,
+        0: 0
+    },
+    
+    // Pet needs (see PetSystem)
+    PET_NUTRITION_BY_TAG: {          // Hunger restored per ingredient (highest matching tag)
+        bread: 3,
+        veggie: 2,
+        dairy: 4,
+        meat: 6
+    },
+    PET_DEFAULT_NUTRITION: 2,
+    PET_HUNGER_DECAY_PER_MINUTE: 2,  // Real play time
+    PET_HUNGER_DECAY_PER_FLOOR: 15,
+    PET_FAILED_MEAL_HUNGER_COST: 5,
+    PET_STAMINA_COST_PER_PUZZLE: 5,
+    PET_STAMINA_COST_PER_FLOOR: 10,
+    PET_STAMINA_REGEN_PER_MINUTE: 3, // Paused while starving
+    PET_STARVING_THRESHOLD: 25,      // Hunger below this = Starving
+    PET_STARVING_STAT_MULTIPLIER: 0.75,
+    PET_STARVING_HP_LOSS: 5,         // Per puzzle while starving
+    PET_EXHAUSTED_THRESHOLD: 20,     // Stamina below this = Exhausted
+    PET_EXHAUSTED_MOVE_MULTIPLIER: 0.85,
+    
+    // Dungeon runs (see DungeonSystem)
+    GOLD_BY_STARS: { 3: 30, 2: 20, 1: 10, 0: 0 },
+    DUNGEON_ROWS_PER_FLOOR: 4,       // Last row is the floor guardian
+    DUNGEON_MAX_CHOICES: 3,          // Nodes per row: 1 to this many
+    DUNGEON_ROW_SPACING: 90,
+    DUNGEON_NODE_WEIGHTS: {          // Relative odds of each node type
+        feeding: 5,
+        combat: 3,
+        shop: 1,
+        rest: 1
+    },
+    DUNGEON_FLOOR_DIFFICULTIES: [    // Recipe difficulties per floor (last entry = deeper floors)
+        ['Easy'],
+        ['Easy', 'Medium'],
+        ['Medium'],
+        ['Medium', 'Hard']
+    ],
+    DUNGEON_MOVE_LIMIT_SCALE_PER_FLOOR: 0.04,
+    DUNGEON_MIN_MOVE_LIMIT_SCALE: 0.75,
+    DUNGEON_GOLD_SCALE_PER_FLOOR: 0.25,
+    DUNGEON_COMBAT_GOLD: 15,
+    DUNGEON_ENEMY_BASE: { hp: 30, attack: 16, defense: 4 },
+    DUNGEON_ENEMY_GROWTH: { hp: 10, attack: 4, defense: 2 },
+    DUNGEON_GUARDIAN_SCALE: 1.5,     // Guardian hp/attack multiplier
+    DUNGEON_REST_HEAL: 0.3,          // Fraction of maxHp
+    DUNGEON_REST_STAMINA: 40,
+    DUNGEON_DEFEAT_GOLD_LOSS: 0.5,   // Fraction of gold dropped when the pet is defeated
+    
+    // Inventory and crafting
+    RECIPES_CONSUME_INGREDIENTS: true, // Cooking uses up the recipe's ingredients
+    INVENTORY_STACK_LIMIT: 99,
+    INGREDIENT_DROP_WEIGHTS: {       // Loot odds by ingredient rarity
+        common: 6,
+        uncommon: 3,
+        rare: 1
+    },
+    DUNGEON_COMBAT_DROPS: 3,         // Ingredients per won fight (guardians x DUNGEON_GUARDIAN_SCALE)
+    
+    // Shop (see SHOP_CATALOG)
+    SHOP_PRICE_SCALE_PER_FLOOR: 0.25, // +25% prices per floor below the first
+    SHOP_INGREDIENT_PRICES: {        // Base price by rarity
+        common: 4,
+        uncommon: 8,
+        rare: 15
+    },
+    SHOP_EXTRA_MOVES: 10,            // Move limit raised by one Extra Moves
+    SHOP_PAGE_SIZE: 7,
+    
+    // Deli counter (see DeliCounter)
+    COUNTER_QUEUE_SIZE: 4,           // Customers at most, counting the one being served
+    COUNTER_OPENING_CUSTOMERS: 2,    // Waiting when the counter first opens
+    COUNTER_ARRIVAL_SECONDS: 25,     // Between new customers while there's room
+    COUNTER_PATIENCE_SECONDS: {      // Patience by recipe difficulty (times the customer's patience)
+        Easy: 90,
+        Normal: 120,
+        Medium: 150,
+        Hard: 210
+    },
+    COUNTER_PATIENCE_VARIANCE: 0.2,  // +/- share of patience per order
+    COUNTER_ORDER_PRICES: {          // Customer pays for the sandwich, by recipe difficulty
+        Easy: 10,
+        Normal: 15,
+        Medium: 20,
+        Hard: 30
+    },
+    COUNTER_STAR_PAY: { 3: 1, 2: 0.7, 1: 0.4, 0: 0 }, // Share of price and tip paid by rating
+    COUNTER_MIN_PATIENCE_PAY: 0.5,   // Share of the price still paid with no patience left
+    
+    // Undo/redo
+    UNDO_COST: 'charge',             // 'charge' (uses an Undo Charge), 'move' (undo counts as a move) or 'free'
+    UNDO_FREE_DIFFICULTIES: ['Easy'], // Recipe difficulties where undo is always free
+    
+    // Input (see setupPuzzleInput)
+    INPUT_KEYS: {                    // KeyboardEvent.code -> direction a tile slides
+        up: ['ArrowUp', 'KeyW'],
+        down: ['ArrowDown', 'KeyS'],
+        left: ['ArrowLeft', 'KeyA'],
+        right: ['ArrowRight', 'KeyD']
+    },
+    INPUT_MOVES_HOLE: false,         // true = keys/swipes/d-pad steer the hole instead of a tile
+    SWIPE_MIN_DISTANCE: 30,          // Pixels before a drag counts as a swipe
+    GAMEPAD_DPAD_BUTTONS: {          // Standard gamepad button index -> direction
+        12: 'up',
+        13: 'down',
+        14: 'left',
+        15: 'right'
+    },
+    ROW_SLIDES: true,                // Clicking a tile in line with a hole shifts the whole line
+    ROW_SLIDE_COUNT: 'tiles',        // 'tiles' = one move per tile shifted, 'slide' = one move per slide
+    
+    // Accessibility (see AccessibilitySettings; players change these in SettingsScene)
+    ACCESSIBILITY_DEFAULTS: {
+        palette: 'default',          // 'default' or a key of ACCESSIBILITY_PALETTES
+        patterns: false,             // Pattern per ingredient on top of its color
+        reducedMotion: null,         // null = follow the browser's prefers-reduced-motion
+        largeText: false,
+        announcements: true          // ARIA live region for screen readers
+    },
+    LARGE_TEXT_SCALE: 1.25,
+    
+    // Game modes (see GameModes)
+    GAME_MODE: 'moves',              // Recipe book default: 'moves', 'time', 'rush' or 'zen'
+    TIME_ATTACK_SECONDS: {           // Countdown by recipe difficulty (a recipe's timeLimit overrides)
+        Easy: 45,
+        Normal: 60,
+        Medium: 75,
+        Hard: 120
+    },
+    TIME_RATING_TIME_LEFT: {         // Time Attack: share of the countdown left for each rating
+        threeStars: 0.5,
+        twoStars: 0.25
+    },
+    RUSH_HOUR_START_SECONDS: 90,
+    RUSH_HOUR_BONUS_SECONDS: { 3: 20, 2: 15, 1: 10, 0: 5 }, // Time added per served order, by stars
+    RUSH_RATING_SECONDS_PER_PAR_MOVE: { // Rush Hour: seconds spent per par move for each rating
+        threeStars: 1.5,
+        twoStars: 2.5,
+        oneStar: 4
+    },
+    RUSH_HOUR_ORDER_DELAY: 1200,     // Win animation time before the next order
+    
+    // Replays (see ReplaySystem)
+    REPLAY_RECORDING: true,          // Record every feeding puzzle for ReplayScene
+    REPLAY_KEEP_COUNT: 5,            // Finished replays kept in localStorage
+    REPLAY_SPEEDS: [0.5, 1, 2, 4],   // Playback speeds the SPEED button cycles through
+    REPLAY_MAX_GAP: 1500,            // Longest wait between replayed moves (ms at 1x)
+    
+    // Combat (ability tiles)
+    COMBAT_GRID_SIZE: 3,
+    COMBAT_STRIKE_MULTIPLIER: 2.5,   // Effective attack scale before enemy defense
+    COMBAT_GUARD_MULTIPLIER: 1.0,    // Shield = effective defense x this
+    COMBAT_MEND_HEAL: 0.15,          // Fraction of effective maxHp
+    COMBAT_ENEMY_ATTACK_INTERVAL: 4, // Player turns between enemy attacks
+    COMBAT_REROLL_ATTEMPTS: 10,      // Tries to deal tiles that don't fire at once
+    COMBAT_RATING_HP_KEPT: {         // Share of starting hp kept for each rating
+        threeStars: 0.75,
+        twoStars: 0.5
+    },
+    
+    // Scene flow
+    RESULTS_SCREEN_DELAY: 1800,      // Time to enjoy the win animation before ResultsScene
+    RESULTS_PATH_MAX_ARROWS: 24,     // Longer move paths are cut off on ResultsScene
+    RECIPE_SELECT_PAGE_SIZE: 8,
+    RECIPE_SELECT_ROW_HEIGHT: 58,
+    
+    // Randomness (see GameRandom)
+    RANDOM_SEED: null,               // Session seed for gameplay randomness (null = new every page load)
+    
+    // Daily Special (see DailySpecial)
+    DAILY_SPECIAL_DIFFICULTIES: ['Medium', 'Hard'], // Recipes the date picks from (none = any recipe)
+    DAILY_SEED_SALT: 'dungeon-deli', // Changing it rerolls every future Daily Special
+    
+    // Phase 1.6: Debug mode
+    DEBUG_MODE: false,               // Enable debug features (console logs, recipe cycling, seeds)
+    DEBUG_RECIPE_CYCLE_KEY: 'R',     // Keyboard key to cycle recipes in debug mode
+    DEBUG_PUZZLE_SEED: null          // Scramble seed for every puzzle (replays a reported board)
+};
+
+// =============================================================================
+// LOCAL SCENE STATE (NOT SHARED)
+// =============================================================================
+
+// Board (PuzzleBoard) and tile views live on the scene: scene.board, scene.tiles
+let isAnimating = false;
+let isShuffling = false;
+let isWon = false;
+let hasFailed = false;
+let currentScene = null;
+let recipeUIElements = [];
+let hintsUsed = 0;
+
+// =============================================================================
+// EVENT BUS (CROSS-SCENE COMMUNICATION)
+// =============================================================================
+
+/**
+ * GameEvents - Publish/subscribe bus shared by every scene
+ * 
+ * Only names listed in EVENTS can be emitted or subscribed to, so a typo
+ * is reported instead of silently never firing. Payloads:
+ * 
+ * - puzzle:start     { recipe, board, par, maxMoves }   Shuffle finished, input enabled (maxMoves null = no limit)
+ * - tile:moved       { tileId, from, to, moveCount }    Player move (not shuffle moves), one per tile of a line slide
+ * - puzzle:complete  { recipe, moves, rating, hintsUsed, par, unlocked, buffs, fed, gold, items, combat }
+ *                    unlocked = new recipe IDs, buffs = BuffSystem.applyRecipeBuffs() result,
+ *                    fed = hunger restored, gold = gold awarded, items = ingredients found { id, count }
+ * - puzzle:fail      { recipe, moves, wasted, combat }        wasted = nutrition thrown away
+ *                    combat = { enemy, guardian } for fights (recipe is null), else null
+ * - recipe:changed   { recipe, previous }               previous may be null
+ * - state:changed    { keys, state }                    GameState fields that changed
+ * - floor:changed    { floor }                          Run started, floor cleared or run ended
+ * - run:ended        { floor, reason, goldLost }        reason = 'defeat' or 'abandon'
+ * 
+ * Usage:
+ *   const off = GameEvents.on(GameEvents.EVENTS.PUZZLE_COMPLETE, payload => { ... });
+ *   off(); // unsubscribe
+ */
+const GameEvents = {
+    EVENTS: {
+        PUZZLE_START: 'puzzle:start',
+        TILE_MOVED: 'tile:moved',
+        PUZZLE_COMPLETE: 'puzzle:complete',
+        PUZZLE_FAIL: 'puzzle:fail',
+        RECIPE_CHANGED: 'recipe:changed',
+        STATE_CHANGED: 'state:changed',
+        FLOOR_CHANGED: 'floor:changed',
+        RUN_ENDED: 'run:ended'
+    },
+    
+    // event name -> array of { handler, context, once }
+    listeners: {},
+    
+    /**
+     * Check an event name against EVENTS
+     * @returns {boolean} True if known
+     */
+    isKnownEvent: function(event) {
+        return Object.values(this.EVENTS).includes(event);
+    },
+    
+    /**
+     * Subscribe to an event
+     * @param {string} event - One of EVENTS
+     * @param {function} handler - Called with the event payload
+     * @param {object} context - Optional `this` for the handler
+     * @returns {function} Unsubscribe function
+     */
+    on: function(event, handler, context = null, once = false) {
+        if (!this.isKnownEvent(event)) {
+            console.warn('[GameEvents] Unknown event:', event);
+            return () => {};
+        }
+        if (typeof handler !== 'function') {
+            console.warn('[GameEvents] Handler for', event, 'is not a function');
+            return () => {};
+        }
+        
+        if (!this.listeners[event]) this.listeners[event] = [];
+        this.listeners[event].push({ handler, context, once });
+        
+        return () => this.off(event, handler, context);
+    },
+    
+    /**
+     * Subscribe for a single emit only
+     * @returns {function} Unsubscribe function
+     */
+    once: function(event, handler, context = null) {
+        return this.on(event, handler, context, true);
+    },
+    
+    /**
+     * Unsubscribe a handler (context must match the one passed to on())
+     */
+    off: function(event, handler, context = null) {
+        const list = this.listeners[event];
+        if (!list) return;
+        
+        this.listeners[event] = list.filter(listener =>
+            listener.handler !== handler || listener.context !== context
+        );
+    },
+    
+    /**
+     * Remove every handler bound to a context (e.g. a scene on shutdown)
+     */
+    offContext: function(context) {
+        Object.keys(this.listeners).forEach(event => {
+            this.listeners[event] = this.listeners[event].filter(listener => listener.context !== context);
+        });
+    },
+    
+    /**
+     * Publish an event
+     * A throwing handler is logged and skipped so it cannot break the puzzle.
+     * 
+     * @param {string} event - One of EVENTS
+     * @param {object} payload - Event data (see table above)
+     */
+    emit: function(event, payload = {}) {
+        if (!this.isKnownEvent(event)) {
+            console.warn('[GameEvents] Unknown event:', event);
+            return;
+        }
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[GameEvents]', event, payload);
+        }
+        
+        const list = this.listeners[event];
+        if (!list || list.length === 0) return;
+        
+        // Snapshot so handlers can unsubscribe while we iterate
+        this.listeners[event] = list.filter(listener => !listener.once);
+        
+        list.forEach(listener => {
+            try {
+                listener.handler.call(listener.context, payload);
+            } catch (error) {
+                console.error(`[GameEvents] Handler for ${event} threw:`, error);
+            }
+        });
+    }
+};
+
+// =============================================================================
+// PHASE 1.6: EVENT HOOKS (CROSS-SCENE COMMUNICATION)
+// =============================================================================
+
+/**
+ * Called when puzzle is successfully completed
+ * Publishes puzzle:complete and state:changed on GameEvents
+ * 
+ * @param {object} recipe - The completed recipe (null for a fight)
+ * @param {number} moves - Number of moves taken
+ * @param {string} rating - Star rating (⭐⭐⭐, ⭐⭐, ⭐, 💀)
+ * @param {object} details - Extra session data ({ hintsUsed, par, counter, combat: { enemy, guardian } });
+ *   counter = a deli counter order, paid by its customer instead of the rating gold
+ */
+function onPuzzleComplete(recipe, moves, rating, details = {}) {
+    const combat = details.combat || null;
+    const stars = getRatingStars(rating);
+    
+    // Update GameState
+    GameState.lastResult = 'win';
+    GameState.puzzlesCompleted++;
+    GameState.totalMoves += moves;
+    
+    let gold = 0;
+    let newlyUnlocked = [];
+    let appliedBuffs = [];
+    let fed = 0;
+    let items = [];
+    
+    if (combat) {
+        // A won fight pays a bounty and drops ingredients; there is no meal, rating record or recipe buff
+        gold = DungeonSystem.awardCombatGold(combat.guardian);
+        items = DungeonSystem.awardCombatDrops(combat.guardian);
+    } else {
+        const unlockedBefore = RecipeSystem.getUnlockedIds();
+        GameState.currentRecipe = recipe;
+        
+        // Add to completed recipes if not already there
+        if (!GameState.completedRecipes.includes(recipe.id)) {
+            GameState.completedRecipes.push(recipe.id);
+        }
+        RecipeSystem.recordRating(recipe.id, stars);
+        
+        // Gold by rating (more on deeper dungeon floors); a counter order is paid
+        // by its customer instead (DeliCounter.completeOrder)
+        gold = details.counter ? 0 : DungeonSystem.awardPuzzleGold(stars);
+        
+        // Recipes this win unlocked (for the results screen)
+        newlyUnlocked = RecipeSystem.getUnlockedIds().filter(id => !unlockedBefore.includes(id));
+        
+        // Earlier buffs age by one puzzle, then this recipe's buffs apply (scaled by rating)
+        BuffSystem.tick('puzzles');
+        appliedBuffs = BuffSystem.applyRecipeBuffs(recipe, stars);
+        
+        // The pet eats the sandwich
+        fed = PetSystem.feed(recipe);
+    }
+    
+    PetSystem.onPuzzleEnd();
+    DungeonSystem.checkDefeat();
+    
+    // Debug logging
+    if (GAME_CONFIG.DEBUG_MODE) {
+        console.log('[onPuzzleComplete]', {
+            recipe: recipe ? recipe.name : null,
+            enemy: combat ? combat.enemy.name : null,
+            moves: moves,
+            rating: rating,
+            hintsUsed: details.hintsUsed || 0,
+            par: details.par,
+            buffs: appliedBuffs,
+            petStats: BuffSystem.getEffectiveStats()
+        });
+    }
+    
+    GameEvents.emit(GameEvents.EVENTS.PUZZLE_COMPLETE, {
+        recipe: recipe,
+        moves: moves,
+        rating: rating,
+        hintsUsed: details.hintsUsed || 0,
+        par: details.par,
+        unlocked: newlyUnlocked,
+        buffs: appliedBuffs,
+        fed: fed,
+        gold: gold,
+        items: items,
+        combat: combat
+    });
+    GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, {
+        keys: ['lastResult', 'puzzlesCompleted', 'totalMoves', 'completedRecipes', 'bestRatings', 'gold', 'inventory', 'petStats', 'activeBuffs'],
+        state: GameState
+    });
+    
+    // Persist progress (no-op if storage is unavailable)
+    if (GAME_CONFIG.AUTOSAVE) {
+        SaveSystem.save();
+    }
+    
+    // Scene transitions are driven by GameEvents subscribers (FeedingPuzzleScene/CombatScene -> ResultsScene)
+}
+
+/**
+ * Called when puzzle fails (exceeds move limit)
+ * Publishes puzzle:fail and state:changed on GameEvents
+ * 
+ * @param {object} recipe - The failed recipe (null for a fight)
+ * @param {number} moves - Number of moves taken
+ * @param {object} details - Extra session data ({ combat: { enemy, guardian } })
+ */
+function onPuzzleFail(recipe = GameState.currentRecipe, moves = 0, details = {}) {
+    const combat = details.combat || null;
+    let wasted = 0;
+    
+    // Update GameState
+    GameState.lastResult = 'fail';
+    GameState.puzzlesFailed++;
+    
+    // A lost fight already cost its hp blow by blow
+    if (!combat) {
+        // Buffs still run out on a failed puzzle
+        BuffSystem.tick('puzzles');
+        
+        // The ruined sandwich is thrown away
+        wasted = PetSystem.wasteMeal(recipe);
+        
+        // Pet takes damage on failure (Phase 3 integration point)
+        GameState.petStats.hp = Math.max(0, GameState.petStats.hp - 10);
+    }
+    PetSystem.onPuzzleEnd();
+    
+    // A dungeon run ends when the pet has no hp left
+    DungeonSystem.checkDefeat();
+    
+    // Debug logging
+    if (GAME_CONFIG.DEBUG_MODE) {
+        console.log('[onPuzzleFail]', {
+            petHp: GameState.petStats.hp,
+            totalFails: GameState.puzzlesFailed
+        });
+    }
+    
+    GameEvents.emit(GameEvents.EVENTS.PUZZLE_FAIL, { recipe: recipe, moves: moves, wasted: wasted, combat: combat });
+    GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, {
+        keys: ['lastResult', 'puzzlesFailed', 'petStats', 'activeBuffs'],
+        state: GameState
+    });
+    
+    // Persist progress (no-op if storage is unavailable)
+    if (GAME_CONFIG.AUTOSAVE) {
+        SaveSystem.save();
+    }
+    
+    // Scene transitions are driven by GameEvents subscribers (FeedingPuzzleScene/CombatScene -> ResultsScene)
+}
+
+// =============================================================================
+// PHASE 1.6: SCENE TRANSITION UTILITY
+// =============================================================================
+
+/**
+ * Safe scene transition helper
+ * Handles cleanup and data passing between scenes
+ * 
+ * @param {Phaser.Scene} scene - Current scene
+ * @param {string} targetKey - Target scene key
+ * @param {object} data - Data to pass to next scene
+ */
+function switchScene(scene, targetKey, data = {}) {
+    if (!scene || !scene.scene) {
+        console.error('[switchScene] Invalid scene provided');
+        return;
+    }
+    
+    // Debug logging
+    if (GAME_CONFIG.DEBUG_MODE) {
+        console.log('[switchScene]', {
+            from: scene.scene.key || 'Unknown',
+            to: targetKey,
+            data: data
+        });
+    }
+    
+    // Clean up current scene (stop tweens, clear timers, drop event subscriptions)
+    scene.tweens.killAll();
+    scene.time.removeAllEvents();
+    GameEvents.offContext(scene);
+    
+    // Transition to target scene
+    scene.scene.start(targetKey, data);
+}
+
+// =============================================================================
+// SAVE SYSTEM (PERSISTENCE)
+// =============================================================================
+
+/**
+ * SaveSystem - Persists GameState to localStorage
+ * 
+ * SAVE FORMAT (one localStorage key per slot):
+ * { version, savedAt, state: { ...PERSISTED_KEYS, lastRecipeId } }
+ * 
+ * MIGRATIONS:
+ * When a save field changes, bump VERSION and add MIGRATIONS[newVersion],
+ * a function that upgrades a save from the previous version in place.
+ * Old saves are walked through every migration up to VERSION on load.
+ * 
+ * Corrupt or unreadable saves never crash boot: the raw data is copied to
+ * "<key>.corrupt" for inspection and the game starts from defaults.
+ */
+const SaveSystem = {
+    VERSION: 2,
+    STORAGE_PREFIX: 'dungeonDeli.save.',
+    
+    // GameState fields written to disk (currentRecipe is saved as lastRecipeId)
+    PERSISTED_KEYS: [
+        'completedRecipes',
+        'bestRatings',
+        'petStats',
+        'activeBuffs',
+        'floor',
+        'deepestFloor',
+        'run',
+        'lastRun',
+        'gold',
+        'inventory',
+        'totalMoves',
+        'puzzlesCompleted',
+        'puzzlesFailed',
+        'daily'
+    ],
+    
+    // version -> function(save) upgrading a save from (version - 1)
+    MIGRATIONS: {
+        // v2: ingredients are consumed by cooking; the unused inventory gets the starter pantry
+        2: function(save) {
+            if (!Array.isArray(save.state.inventory) || save.state.inventory.length === 0) {
+                save.state.inventory = JSON.parse(JSON.stringify(SaveSystem.defaults.inventory));
+            }
+        }
+    },
+    
+    // Snapshot of GameState before any save is applied (defaults for missing fields)
+    defaults: JSON.parse(JSON.stringify(GameState)),
+    
+    // Set once the boot restore has run (scene restarts must not reload over live state)
+    restored: false,
+    
+    /**
+     * localStorage key for a slot
+     */
+    getKey: function(slot) {
+        return `${this.STORAGE_PREFIX}${slot}`;
+    },
+    
+    /**
+     * Get localStorage, or null if it is missing or blocked (private mode, sandboxed iframe)
+     */
+    getStorage: function() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Switch the slot used by save()/load() defaults
+     * @param {number} slot - 0 to SAVE_SLOT_COUNT - 1
+     */
+    setActiveSlot: function(slot) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= GAME_CONFIG.SAVE_SLOT_COUNT) {
+            console.warn('[SaveSystem] Invalid save slot:', slot);
+            return;
+        }
+        GAME_CONFIG.ACTIVE_SAVE_SLOT = slot;
+    },
+    
+    /**
+     * Build the save object for the current GameState
+     * @returns {object} { version, savedAt, state }
+     */
+    serialize: function() {
+        const state = {};
+        this.PERSISTED_KEYS.forEach(key => {
+            state[key] = JSON.parse(JSON.stringify(GameState[key]));
+        });
+        state.lastRecipeId = GameState.currentRecipe ? GameState.currentRecipe.id : null;
+        
+        return { version: this.VERSION, savedAt: Date.now(), state: state };
+    },
+    
+    /**
+     * Write GameState to a slot
+     * @param {number} slot - Save slot (defaults to the active slot)
+     * @returns {boolean} True if written
+     */
+    save: function(slot = GAME_CONFIG.ACTIVE_SAVE_SLOT) {
+        const storage = this.getStorage();
+        if (!storage) return false;
+        
+        try {
+            storage.setItem(this.getKey(slot), JSON.stringify(this.serialize()));
+        } catch (error) {
+            console.warn('[SaveSystem] Could not write save slot', slot, error);
+            return false;
+        }
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[SaveSystem] Saved slot', slot);
+        }
+        return true;
+    },
+    
+    /**
+     * Read a slot and apply it to GameState
+     * Missing or corrupt data leaves GameState on its defaults.
+     * 
+     * @param {number} slot - Save slot (defaults to the active slot)
+     * @returns {boolean} True if a save was applied
+     */
+    load: function(slot = GAME_CONFIG.ACTIVE_SAVE_SLOT) {
+        const save = this.readSlot(slot);
+        if (!save) return false;
+        
+        this.applyState(save.state);
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[SaveSystem] Loaded slot', slot, save);
+        }
+        
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, {
+            keys: [...this.PERSISTED_KEYS],
+            state: GameState
+        });
+        return true;
+    },
+    
+    /**
+     * Restore the active slot once per page load (called from BootScene)
+     * @returns {boolean} True if a save was applied
+     */
+    restoreOnBoot: function() {
+        if (this.restored) return false;
+        this.restored = true;
+        return this.load();
+    },
+    
+    /**
+     * Parse and migrate a slot without touching GameState
+     * @param {number} slot - Save slot
+     * @returns {object|null} Migrated save, or null if empty/corrupt
+     */
+    readSlot: function(slot) {
+        const storage = this.getStorage();
+        if (!storage) return null;
+        
+        const key = this.getKey(slot);
+        let raw = null;
+        
+        try {
+            raw = storage.getItem(key);
+            if (raw === null) return null;
+            
+            const save = JSON.parse(raw);
+            if (!save || typeof save !== 'object' || !Number.isInteger(save.version) ||
+                !save.state || typeof save.state !== 'object') {
+                throw new Error('save is missing version or state');
+            }
+            if (save.version > this.VERSION) {
+                throw new Error(`save version ${save.version} is newer than supported version ${this.VERSION}`);
+            }
+            
+            return this.migrate(save);
+        } catch (error) {
+            console.warn(`[SaveSystem] Save slot ${slot} is unreadable, starting fresh:`, error.message);
+            try {
+                storage.setItem(`${key}.corrupt`, raw);
+            } catch (backupError) {
+                // Backup is best effort only
+            }
+            return null;
+        }
+    },
+    
+    /**
+     * Run every migration between the save's version and VERSION
+     * @param {object} save - Parsed save
+     * @returns {object} Save at the current VERSION
+     */
+    migrate: function(save) {
+        while (save.version < this.VERSION) {
+            const nextVersion = save.version + 1;
+            const migration = this.MIGRATIONS[nextVersion];
+            if (migration) {
+                migration(save);
+            }
+            save.version = nextVersion;
+        }
+        return save;
+    },
+    
+    /**
+     * Copy saved fields onto GameState, keeping defaults for anything missing
+     * or of the wrong type. Fixed-shape objects (petStats) merge field by field
+     * so new fields get their defaults; open maps (bestRatings) are copied whole.
+     * @param {object} state - Saved state
+     */
+    applyState: function(state) {
+        this.PERSISTED_KEYS.forEach(key => {
+            const fallback = this.defaults[key];
+            const value = state[key];
+            
+            if (Array.isArray(fallback)) {
+                // Entries may be objects (inventory stacks, buffs) that get mutated later
+                GameState[key] = JSON.parse(JSON.stringify(Array.isArray(value) ? value : fallback));
+            } else if (fallback && typeof fallback === 'object' && Object.keys(fallback).length === 0) {
+                GameState[key] = value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+            } else if (fallback && typeof fallback === 'object') {
+                GameState[key] = { ...fallback };
+                if (value && typeof value === 'object') {
+                    Object.keys(fallback).forEach(field => {
+                        if (typeof value[field] === typeof fallback[field]) {
+                            GameState[key][field] = value[field];
+                        }
+                    });
+                }
+            } else {
+                GameState[key] = typeof value === typeof fallback ? value : fallback;
+            }
+        });
+        
+        const lastRecipe = state.lastRecipeId ? RecipeSystem.getRecipeById(state.lastRecipeId) : null;
+        if (lastRecipe && RecipeSystem.validateRecipe(lastRecipe)) {
+            GameState.currentRecipe = lastRecipe;
+        }
+    },
+    
+    /**
+     * Summaries of every slot for a load menu
+     * @returns {array} Per slot: { slot, savedAt, floor, gold, puzzlesCompleted } or null if empty
+     */
+    listSlots: function() {
+        const slots = [];
+        for (let slot = 0; slot < GAME_CONFIG.SAVE_SLOT_COUNT; slot++) {
+            const save = this.readSlot(slot);
+            slots.push(save ? {
+                slot: slot,
+                savedAt: save.savedAt,
+                floor: save.state.floor,
+                gold: save.state.gold,
+                puzzlesCompleted: save.state.puzzlesCompleted
+            } : null);
+        }
+        return slots;
+    },
+    
+    /**
+     * Erase a slot
+     * @param {number} slot - Save slot
+     */
+    deleteSlot: function(slot) {
+        const storage = this.getStorage();
+        if (!storage) return;
+        
+        try {
+            storage.removeItem(this.getKey(slot));
+        } catch (error) {
+            console.warn('[SaveSystem] Could not delete save slot', slot, error);
+        }
+    }
+};
+
+// =============================================================================
+// PHASER SCENES
+// =============================================================================
+
+/**
+ * Scene flow (every transition goes through switchScene):
+ * 
+ *   BootScene -> TitleScene -> RecipeSelectScene -> FeedingPuzzleScene -> ResultsScene
+ *                    ^                ^                    |                  |
+ *                    +----------------+--------------------+------------------+
+ * 
+ *   TitleScene -> DungeonScene <-> FeedingPuzzleScene -> ResultsScene -> DungeonScene
+ *                      |
+ *                      +--> CombatScene -> ResultsScene -> DungeonScene
+ *                      +--> ShopScene -> DungeonScene
+ * 
+ *   TitleScene <-> ShopScene
+ *   TitleScene <-> SettingsScene
+ *   TitleScene <-> DeliCounterScene <-> FeedingPuzzleScene -> ResultsScene -> DeliCounterScene
+ *   ResultsScene <-> ReplayScene
+ * 
+ * Scene data:
+ * - FeedingPuzzleScene: { recipeId, dungeonNode, daily, seed, mode, rush, counterOrder }
+ *                       (recipeId omitted = current/default recipe)
+ *                       (dungeonNode = map node index in a run)
+ *                       (daily = play today's Daily Special)
+ *                       (seed = fixed scramble seed)
+ *                       (mode = GameModes id)
+ *                       (rush = Rush Hour progress between orders)
+ *                       (counterOrder = id of the DeliCounter order being served)
+ * - RecipeSelectScene:  { page, message }             (message = why a recipe couldn't be cooked)
+ * - DeliCounterScene:   { message }                   (who came or went, or why an order couldn't be cooked)
+ * - CombatScene:        { dungeonNode, guardian }     (guardian = floor's last fight)
+ * - ShopScene:          { page, message, dungeonNode } (dungeonNode = shop node index in a run)
+ * - DungeonScene:       { message }                   (outcome of the last node)
+ * - ResultsScene:       { result, recipeId, moves, rating, par, hintsUsed, unlocked, buffs, fed, wasted, gold, items, history, replay, daily, dungeon, combat,
+ *                         mode, timeLeft, timedOut, rush, counter }
+ *                       (history = MoveHistory.getSummary() of the puzzle, replay = ReplayLog replay)
+ *                       (combat = { enemy } after a fight; moves are then turns, daily = Daily Special date)
+ *                       (counter = DeliCounter { order, price, tip, total } for a counter order)
+ * - ReplayScene:        { replay, results }           (replay omitted = last recorded, results = ResultsScene data for BACK)
+ */
+
+/**
+ * Shared menu button (same look as the Reset/Hint buttons)
+ * @returns {object} { button, label }
+ */
+function createMenuButton(scene, x, y, text, color, onClick, width = 150) {
+    const button = scene.add.rectangle(x, y, width, 40, color);
+    button.setStrokeStyle(3, 0x000000);
+    button.setInteractive({ useHandCursor: true });
+
+    const label = scene.add.text(x, y, text, {
+        fontSize: '20px',
+        fontWeight: 'bold',
+        fill: '#FFF'
+    }).setOrigin(0.5);
+
+    button.on('pointerover', () => button.setAlpha(0.8));
+    button.on('pointerout', () => button.setAlpha(1));
+    button.on('pointerdown', onClick);
+    
+    return { button, label };
+}
+
+/**
+ * Buff summary for menus, e.g. "+20 hp, +5 defense"
+ * @param {object} buff - Recipe buff map
+ * @returns {string} Empty string if there are no buffs
+ */
+function formatBuffs(buff) {
+    if (!buff) return '';
+    return Object.keys(buff).map(stat => `+${buff[stat]} ${stat}`).join(', ');
+}
+
+/**
+ * BootScene - Loads recipe packs and restores the save, then shows the title
+ */
+class BootScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'BootScene' });
+    }
+    
+    preload() {
+        // No image assets for prototype; recipe packs are loaded as JSON
+        GAME_CONFIG.RECIPE_PACKS.forEach(path => this.load.json(path, path));
+        
+        this.load.on('loaderror', file => {
+            console.error('[RecipeSystem] Could not load recipe pack:', file.src);
+        });
+    }
+    
+    create() {
+        // Register recipe packs (invalid recipes, built-in or not, are reported and skipped)
+        if (GAME_CONFIG.RECIPE_MODE) {
+            RecipeSystem.checkBuiltInRecipes();
+            GAME_CONFIG.RECIPE_PACKS.forEach(path => {
+                const pack = this.cache.json.get(path);
+                if (pack) RecipeSystem.loadPack(pack, path);
+            });
+        }
+        
+        // Restore saved progress (after packs, so a saved pack recipe can be found)
+        SaveSystem.restoreOnBoot();
+        
+        // Gameplay randomness for this session (GAME_CONFIG.RANDOM_SEED to reproduce one)
+        if (!GameRandom.source) GameRandom.init();
+        
+        // Device settings and screen-reader announcements
+        AccessibilitySettings.load();
+        AccessibilitySettings.startAnnouncements();
+        
+        switchScene(this, 'TitleScene');
+    }
+}
+
+/**
+ * TitleScene - Main menu with progress summary
+ */
+class TitleScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'TitleScene' });
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        
+        this.add.text(centerX, 180, 'DUNGEON DELI', {
+            fontSize: '40px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 6
+        }).setOrigin(0.5);
+        
+        this.add.text(centerX, 230, 'Sandwich Puzzle', {
+            fontSize: '18px',
+            fill: '#FFF'
+        }).setOrigin(0.5);
+        
+        const recipeCount = RecipeSystem.getAllRecipes().length;
+        this.add.text(centerX, 300,
+            `Floor ${GameState.floor}  ·  Gold ${GameState.gold}\n` +
+            `Recipes completed: ${GameState.completedRecipes.length} / ${recipeCount}  ·  ⭐ ${RecipeSystem.getTotalStars()}`, {
+            fontSize: '14px',
+            fill: '#CCC',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        createMenuButton(this, centerX, 370, 'PLAY', 0x4ECDC4, () => {
+            switchScene(this, 'FeedingPuzzleScene', {});
+        }, 200);
+        
+        if (GAME_CONFIG.RECIPE_MODE) {
+            createMenuButton(this, centerX, 425, 'RECIPE BOOK', 0xF7B731, () => {
+                switchScene(this, 'RecipeSelectScene', { page: 0 });
+            }, 200);
+            
+            // Today's best shows next to the Daily Special
+            const best = DailySpecial.getBest();
+            createMenuButton(this, centerX, 480, best ? `DAILY ${'⭐'.repeat(best.stars)}` : 'DAILY SPECIAL', 0x2ECC71, () => {
+                switchScene(this, 'FeedingPuzzleScene', { daily: true });
+            }, 200);
+        }
+        
+        createMenuButton(this, centerX, 535, DungeonSystem.isRunActive() ? 'CONTINUE RUN' : 'DUNGEON', 0x8E44AD, () => {
+            switchScene(this, 'DungeonScene');
+        }, 200);
+        
+        createMenuButton(this, centerX, 590, 'SHOP', 0xF39C12, () => {
+            switchScene(this, 'ShopScene', { page: 0 });
+        }, 200);
+        
+        if (GAME_CONFIG.RECIPE_MODE) {
+            createMenuButton(this, centerX, 645, 'DELI COUNTER', 0xE67E22, () => {
+                switchScene(this, 'DeliCounterScene');
+            }, 200);
+        }
+        
+        const settingsText = this.add.text(435, 15, '♿ SETTINGS', {
+            fontSize: '14px',
+            fontWeight: 'bold',
+            fill: '#FFF'
+        }).setOrigin(1, 0).setInteractive({ useHandCursor: true });
+        settingsText.on('pointerdown', () => switchScene(this, 'SettingsScene'));
+    }
+}
+
+/**
+ * SettingsScene - Accessibility settings (AccessibilitySettings), saved per device
+ * Each row cycles its setting; a row of sample tiles previews palette and patterns.
+ */
+class SettingsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'SettingsScene' });
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        
+        this.add.text(centerX, 50, 'ACCESSIBILITY', {
+            fontSize: '28px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        const onOff = value => (value ? 'ON' : 'OFF');
+        const paletteNames = { default: 'Standard', colorblind: 'Colorblind-safe' };
+        const palettes = ['default', ...Object.keys(ACCESSIBILITY_PALETTES)];
+        const motion = AccessibilitySettings.get('reducedMotion');
+        const motionLabel = motion === null || motion === undefined ?
+            `AUTO (${onOff(AccessibilitySettings.isReducedMotion())})` : onOff(motion);
+        
+        const rows = [
+            {
+                label: `Colors: ${paletteNames[AccessibilitySettings.get('palette')] || AccessibilitySettings.get('palette')}`,
+                next: () => {
+                    const index = palettes.indexOf(AccessibilitySettings.get('palette'));
+                    AccessibilitySettings.set('palette', palettes[(index + 1) % palettes.length]);
+                }
+            },
+            {
+                label: `Tile patterns: ${onOff(AccessibilitySettings.get('patterns'))}`,
+                next: () => AccessibilitySettings.set('patterns', !AccessibilitySettings.get('patterns'))
+            },
+            {
+                // Auto -> on -> off -> auto
+                label: `Reduced motion: ${motionLabel}`,
+                next: () => AccessibilitySettings.set('reducedMotion', motion === null || motion === undefined ? true : (motion ? false : null))
+            },
+            {
+                label: `Large text: ${onOff(AccessibilitySettings.get('largeText'))}`,
+                next: () => AccessibilitySettings.set('largeText', !AccessibilitySettings.get('largeText'))
+            },
+            {
+                label: `Screen reader: ${onOff(AccessibilitySettings.get('announcements'))}`,
+                next: () => AccessibilitySettings.set('announcements', !AccessibilitySettings.get('announcements'))
+            }
+        ];
+        
+        rows.forEach((row, index) => {
+            createMenuButton(this, centerX, 130 + index * 60, row.label, 0x4ECDC4, () => {
+                row.next();
+                switchScene(this, 'SettingsScene');
+            }, 340);
+        });
+        
+        this.createPreview(centerX, 470);
+        
+        createMenuButton(this, centerX, 665, 'BACK', 0xFF6B6B, () => {
+            switchScene(this, 'TitleScene');
+        }, 200);
+    }
+    
+    /**
+     * Sample of every base ingredient tile with the current settings
+     * @param {number} y - Row center
+     */
+    createPreview(centerX, y) {
+        // Base pantry only; content-pack ingredients would overflow the row
+        const ingredients = IngredientRegistry.getAll().slice(0, 8);
+        const size = 44;
+        const spacing = 6;
+        const left = centerX - ((size + spacing) * ingredients.length - spacing) / 2 + size / 2;
+        
+        ingredients.forEach((ingredient, index) => {
+            const color = AccessibilitySettings.getTileColor(ingredient.id, ingredient.color);
+            const container = this.add.container(left + index * (size + spacing), y);
+            const bg = this.add.rectangle(0, 0, size, size, color).setStrokeStyle(2, 0x000000);
+            container.add(bg);
+            
+            if (AccessibilitySettings.get('patterns')) {
+                AccessibilitySettings.drawPattern(this, container, AccessibilitySettings.getPattern(ingredient.id),
+                    size, AccessibilitySettings.getTextColor(color));
+            }
+            
+            container.add(this.add.text(0, size / 2 + 4, ingredient.name, {
+                fontSize: AccessibilitySettings.fontSize(10),
+                fill: '#FFF',
+                align: 'center',
+                wordWrap: { width: size + spacing }
+            }).setOrigin(0.5, 0));
+        });
+    }
+}
+
+/**
+ * RecipeSelectScene - Recipe book: paged list of every registered recipe
+ * with difficulty, buffs, best rating and lock state
+ */
+class RecipeSelectScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'RecipeSelectScene' });
+    }
+    
+    init(data) {
+        this.page = data.page || 0;
+        this.message = data.message || '';
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        const recipes = RecipeSystem.getAllRecipes();
+        const pageSize = GAME_CONFIG.RECIPE_SELECT_PAGE_SIZE;
+        const pageCount = Math.max(1, Math.ceil(recipes.length / pageSize));
+        this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+        
+        this.add.text(centerX, 50, 'RECIPE BOOK', {
+            fontSize: '28px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        this.add.text(centerX, 85, `Total ⭐ ${RecipeSystem.getTotalStars()}  ·  Deepest floor ${GameState.deepestFloor}`, {
+            fontSize: '14px',
+            fill: '#CCC'
+        }).setOrigin(0.5);
+        
+        // Game mode for the next recipe picked (Rush Hour starts its chain from it)
+        const modeText = this.add.text(435, 15, `MODE: ${GameModes.get(GameModes.getSelected()).name.toUpperCase()} ▸`, {
+            fontSize: '14px',
+            fontWeight: 'bold',
+            fill: '#4ECDC4'
+        }).setOrigin(1, 0).setInteractive({ useHandCursor: true });
+        modeText.on('pointerdown', () => {
+            GameModes.cycleSelected();
+            switchScene(this, 'RecipeSelectScene', { page: this.page });
+        });
+        
+        const pageRecipes = recipes.slice(this.page * pageSize, (this.page + 1) * pageSize);
+        pageRecipes.forEach((recipe, index) => {
+            this.createRecipeRow(recipe, 135 + index * GAME_CONFIG.RECIPE_SELECT_ROW_HEIGHT);
+        });
+        
+        // Why the last pick couldn't be cooked
+        this.messageText = this.add.text(centerX, 585, this.message, {
+            fontSize: '12px',
+            fill: '#FF8C42',
+            align: 'center',
+            wordWrap: { width: 400 }
+        }).setOrigin(0.5);
+        
+        if (pageCount > 1) {
+            this.add.text(centerX, 610, `Page ${this.page + 1} / ${pageCount}`, {
+                fontSize: '14px',
+                fill: '#CCC'
+            }).setOrigin(0.5);
+            
+            if (this.page > 0) {
+                createMenuButton(this, 60, 610, '◀', 0x8D6E63, () => {
+                    switchScene(this, 'RecipeSelectScene', { page: this.page - 1 });
+                }, 60);
+            }
+            if (this.page < pageCount - 1) {
+                createMenuButton(this, 390, 610, '▶', 0x8D6E63, () => {
+                    switchScene(this, 'RecipeSelectScene', { page: this.page + 1 });
+                }, 60);
+            }
+        }
+        
+        createMenuButton(this, centerX, 665, 'BACK', 0xFF6B6B, () => {
+            switchScene(this, 'TitleScene');
+        });
+    }
+    
+    /**
+     * One recipe entry: name and best rating, then details or what unlocks it
+     * Unlocked rows also show ingredients held versus needed (🧺 have/need).
+     * @param {object} recipe - Recipe to show
+     * @param {number} y - Row center
+     */
+    createRecipeRow(recipe, y) {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        const missing = RecipeSystem.getMissingRequirements(recipe);
+        const locked = missing.length > 0;
+        const bestStars = GameState.bestRatings[recipe.id];
+        
+        const row = this.add.rectangle(centerX, y, 400, GAME_CONFIG.RECIPE_SELECT_ROW_HEIGHT - 6, locked ? 0x2A1B17 : 0x3E2723);
+        row.setStrokeStyle(2, bestStars === 3 ? 0xFFD700 : 0x000000);
+        
+        if (!locked) {
+            row.setInteractive({ useHandCursor: true });
+            row.on('pointerover', () => row.setFillStyle(0x5D4037));
+            row.on('pointerout', () => row.setFillStyle(0x3E2723));
+            row.on('pointerdown', () => {
+                const mode = GameModes.getSelected();
+                const missingItems = InventorySystem.getMissing(recipe);
+                if (mode !== 'rush' && missingItems.length > 0) {
+                    this.messageText.setText(`Missing for ${recipe.name}: ${InventorySystem.formatItems(missingItems)}`);
+                    return;
+                }
+                switchScene(this, 'FeedingPuzzleScene', { recipeId: recipe.id, mode: mode });
+            });
+            
+            if (GAME_CONFIG.RECIPES_CONSUME_INGREDIENTS) {
+                const stock = InventorySystem.getRecipeStock(recipe);
+                const have = stock.reduce((total, entry) => total + Math.min(entry.have, entry.need), 0);
+                const need = stock.reduce((total, entry) => total + entry.need, 0);
+                this.add.text(410, y + 11, `🧺 ${have}/${need}`, {
+                    fontSize: '12px',
+                    fill: have >= need ? '#8F8' : '#FF8C42'
+                }).setOrigin(1, 0.5);
+            }
+        }
+        
+        this.add.text(40, y - 11, `${locked ? '🔒 ' : ''}${recipe.name}`, {
+            fontSize: '16px',
+            fontWeight: 'bold',
+            fill: locked ? '#888' : '#FFF'
+        }).setOrigin(0, 0.5);
+        
+        // Best rating: ☆ for unearned stars, nothing if never completed
+        if (bestStars !== undefined) {
+            this.add.text(410, y - 11, '⭐'.repeat(bestStars) + '☆'.repeat(3 - bestStars), {
+                fontSize: '14px',
+                fill: '#FFD700'
+            }).setOrigin(1, 0.5);
+        }
+        
+        const gridSize = recipe.gridSize || 3;
+        // Locked rows show the first missing requirement (rows are one line wide)
+        const details = locked ?
+            `${missing[0]}${missing.length > 1 ? ` (+${missing.length - 1} more)` : ''}` :
+            `${recipe.difficulty || 'Normal'} · ${gridSize}x${gridSize} · ${formatBuffs(recipe.buff) || 'No buffs'}`;
+        
+        this.add.text(40, y + 11, details, {
+            fontSize: '12px',
+            fill: locked ? '#C98' : '#CCC'
+        }).setOrigin(0, 0.5);
+    }
+}
+
+/**
+ * FeedingPuzzleScene - The sliding sandwich puzzle
+ * Moves on to ResultsScene after a win or fail (via GameEvents)
+ */
+class FeedingPuzzleScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'FeedingPuzzleScene' });
+    }
+    
+    init(data) {
+        this.requestedRecipeId = data.recipeId || null;
+        
+        // Index of the dungeon map node being played (undefined outside a run)
+        this.dungeonNode = data.dungeonNode;
+        
+        // Daily Special date key (null = normal puzzle)
+        this.daily = data.daily ? DailySpecial.getDateKey() : null;
+        
+        // Game mode (GameModes); dungeon nodes and the Daily Special keep the move limit
+        this.mode = this.daily || this.dungeonNode !== undefined ? 'moves' : (data.mode || 'moves');
+        
+        // Rush Hour progress carried over from the previous order
+        this.rush = this.mode === 'rush' ? (data.rush || GameModes.startRush()) : null;
+        
+        // Deli counter order being cooked (DeliCounter.serving), else null
+        const serving = DeliCounter.serving;
+        this.counterOrder = serving && serving.id === data.counterOrder ? serving : null;
+        
+        // Scramble seed for ShuffleSystem (null = fresh seed per shuffle)
+        if (this.daily) {
+            this.fixedSeed = DailySpecial.getSeed(this.daily);
+        } else if (data.seed !== undefined) {
+            this.fixedSeed = data.seed;
+        } else {
+            this.fixedSeed = GAME_CONFIG.DEBUG_PUZZLE_SEED;
+        }
+    }
+    
+    create() {
+        currentScene = this;
+        isAnimating = false;
+        
+        // Phase 1.6: Initialize recipe system
+        if (GAME_CONFIG.RECIPE_MODE) {
+            // Requested recipe, else the last one played, else the default
+            const recipeId = this.requestedRecipeId ||
+                (GameState.currentRecipe ? GameState.currentRecipe.id : GAME_CONFIG.DEFAULT_RECIPE_ID);
+            let recipe = this.daily ? DailySpecial.getRecipe(this.daily) : RecipeSystem.getRecipeById(recipeId);
+            
+            // Validate recipe
+            let unplayable = null;
+            if (!RecipeSystem.validateRecipe(recipe)) {
+                console.error('[Phase 1.6] Invalid recipe:', recipeId);
+                unplayable = `${recipe && recipe.name ? recipe.name : recipeId} can't be cooked right now`;
+                recipe = RECIPES[0]; // Fallback to first recipe
+            }
+            
+            // Locked recipes can't be played (the recipe book hides them, saves may not);
+            // the Daily Special is open to everyone
+            if (!this.daily && !RecipeSystem.isUnlocked(recipe)) {
+                console.warn('[Phase 1.6] Recipe is locked:', recipe.id);
+                unplayable = unplayable || `${recipe.name} is locked`;
+                recipe = RecipeSystem.getRecipeById(GAME_CONFIG.DEFAULT_RECIPE_ID) || RECIPES[0];
+            }
+            
+            // A customer ordered that exact dish: send the order back rather than cook another
+            if (unplayable && this.counterOrder) {
+                DeliCounter.returnOrder();
+                switchScene(this, 'DeliCounterScene', { message: `${unplayable}, the order goes back in line` });
+                return;
+            }
+            
+            // Cooking uses up the ingredients now (saved, so reloading can't refund them);
+            // Daily Special and Rush Hour orders are on the house
+            if (!this.daily && !this.rush && !InventorySystem.consumeRecipe(recipe)) {
+                const message = `Missing for ${recipe.name}: ${InventorySystem.formatItems(InventorySystem.getMissing(recipe))}`;
+                if (this.isDungeonPuzzle()) {
+                    switchScene(this, 'DungeonScene', { message: message });
+                } else if (this.counterOrder) {
+                    DeliCounter.returnOrder();
+                    switchScene(this, 'DeliCounterScene', { message: message });
+                } else {
+                    switchScene(this, 'RecipeSelectScene', { page: 0, message: message });
+                }
+                return;
+            }
+            if (GAME_CONFIG.AUTOSAVE) {
+                SaveSystem.save();
+            }
+            
+            // Phase 1.6: Apply recipe configuration
+            RecipeSystem.setCurrentRecipe(recipe);
+            GameModes.setupScene(this, recipe);
+            
+            // Create recipe UI display
+            createRecipeUI(this);
+        }
+        
+        // Create title
+        let title = this.mode === 'moves' ? 'SANDWICH PUZZLE' : GameModes.get(this.mode).name.toUpperCase();
+        if (this.daily) title = 'DAILY SPECIAL';
+        this.add.text(225, 50, title, {
+            fontSize: '28px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+
+        // Create subtitle
+        let subtitle = GAME_CONFIG.RECIPE_MODE ? GameModes.get(this.mode).description : 'Slide tiles to build the sandwich!';
+        if (this.daily) subtitle = `${this.daily}  ·  Same board for everyone today`;
+        if (this.rush) subtitle = `Order ${this.rush.orders + 1}  ·  ${this.rush.stars} ⭐ so far`;
+        this.subtitleText = this.add.text(225, 85, subtitle, {
+            fontSize: '14px',
+            fill: '#FFF'
+        }).setOrigin(0.5);
+        if (this.counterOrder) this.updateCounterText();
+        
+        // Back to menu
+        const menuText = this.add.text(435, 15, 'MENU', {
+            fontSize: '14px',
+            fontWeight: 'bold',
+            fill: '#FFF'
+        }).setOrigin(1, 0).setInteractive({ useHandCursor: true });
+        menuText.on('pointerdown', () => {
+            if (this.isDungeonPuzzle()) {
+                switchScene(this, 'DungeonScene');
+            } else if (this.counterOrder) {
+                // Unfinished orders go back in line
+                DeliCounter.returnOrder();
+                switchScene(this, 'DeliCounterScene');
+            } else if (this.daily) {
+                switchScene(this, 'TitleScene');
+            } else {
+                switchScene(this, GAME_CONFIG.RECIPE_MODE ? 'RecipeSelectScene' : 'TitleScene', { page: 0 });
+            }
+        });
+
+        // Create move counter with limit display
+        this.moveText = this.add.text(225, 145, '', {
+            fontSize: AccessibilitySettings.fontSize(18),
+            fill: '#FFF'
+        }).setOrigin(0.5);
+        updateMoveText(this);
+        
+        // Pet status panel (refreshed whenever GameState changes)
+        createPetPanel(this);
+        GameEvents.on(GameEvents.EVENTS.STATE_CHANGED, () => updatePetPanel(this), this);
+
+        // Initialize the grid
+        GridManager.createGrid(this, GAME_CONFIG.GRID_SIZE);
+
+        // Create reset and hint buttons
+        createResetButton(this);
+        createHintButton(this);
+        createExtraMovesButton(this);
+        createUndoButtons(this);
+        GameEvents.on(GameEvents.EVENTS.TILE_MOVED, () => updateUndoButtons(this), this);
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_START, () => GameModes.startTimer(this), this);
+        setupPuzzleInput(this);
+
+        // Create win message (hidden initially)
+        this.winText = this.add.text(225, 600, GAME_CONFIG.RECIPE_MODE ? 
+            'RECIPE COMPLETE!' : 'SANDWICH COMPLETE!', {
+            fontSize: '28px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 6
+        }).setOrigin(0.5).setVisible(false);
+
+        // Create rating display (hidden initially)
+        this.ratingText = this.add.text(225, 640, '', {
+            fontSize: '32px',
+            fontWeight: 'bold',
+            fill: '#FFD700'
+        }).setOrigin(0.5).setVisible(false);
+
+        // Create fail message (hidden initially)
+        this.failText = this.add.text(225, 620, GAME_CONFIG.RECIPE_MODE ?
+            'Recipe ruined!\nTry again...' : 'Your sandwich fell apart!\nTry again...', {
+            fontSize: '24px',
+            fontWeight: 'bold',
+            fill: '#FF4444',
+            stroke: '#000',
+            strokeThickness: 4,
+            align: 'center'
+        }).setOrigin(0.5).setVisible(false);
+        
+        // Show the results screen once the win/fail animation has played
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_COMPLETE, payload => {
+            const dungeon = this.finishDungeonNode();
+            const replay = ReplaySystem.finish(this, 'win');
+            if (this.daily) {
+                DailySpecial.recordResult(this.daily, getRatingStars(payload.rating), payload.moves);
+            }
+            const counter = this.counterOrder ? DeliCounter.completeOrder(getRatingStars(payload.rating)) : null;
+            if (this.rush) {
+                GameModes.serveRushOrder(this, payload);
+                return;
+            }
+            this.showResults({
+                result: 'win',
+                recipeId: payload.recipe ? payload.recipe.id : null,
+                moves: payload.moves,
+                rating: payload.rating,
+                par: payload.par,
+                hintsUsed: payload.hintsUsed,
+                unlocked: payload.unlocked,
+                buffs: payload.buffs,
+                fed: payload.fed,
+                gold: payload.gold,
+                history: MoveHistory.getSummary(this.history),
+                replay: replay,
+                daily: this.daily,
+                mode: this.mode,
+                timeLeft: this.timeLeft,
+                counter: counter,
+                dungeon: dungeon
+            }, GAME_CONFIG.RESULTS_SCREEN_DELAY);
+        }, this);
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_FAIL, payload => {
+            const dungeon = this.finishDungeonNode();
+            const replay = ReplaySystem.finish(this, 'fail');
+            this.showResults({
+                result: 'fail',
+                recipeId: payload.recipe ? payload.recipe.id : null,
+                moves: payload.moves,
+                rating: null,
+                par: this.par,
+                hintsUsed: hintsUsed,
+                wasted: payload.wasted,
+                history: MoveHistory.getSummary(this.history),
+                replay: replay,
+                daily: this.daily,
+                mode: this.mode,
+                timedOut: this.timedOut,
+                rush: this.rush,
+                counter: this.counterOrder ? DeliCounter.failOrder() : null,
+                dungeon: dungeon
+            }, GAME_CONFIG.FAIL_DISPLAY_DURATION);
+        }, this);
+
+        // Phase 1.6: Setup debug mode
+        if (GAME_CONFIG.DEBUG_MODE) {
+            setupDebugMode(this);
+        }
+
+        // Perform animated shuffle on start
+        ShuffleSystem.performAnimatedShuffle(this);
+    }
+    
+    update(time, delta) {
+        // Pet needs tick over time; timed modes also run their clock here
+        PetSystem.update(delta);
+        GameModes.tick(this, delta);
+        
+        // The counter keeps running while an order is cooked
+        if (this.counterOrder) {
+            const shown = Math.ceil(this.counterOrder.patienceLeft / 1000);
+            DeliCounter.update(delta);
+            if (Math.ceil(this.counterOrder.patienceLeft / 1000) !== shown) this.updateCounterText();
+        }
+    }
+    
+    /**
+     * Subtitle for a deli counter order: who is waiting and their patience
+     */
+    updateCounterText() {
+        const order = this.counterOrder;
+        const customer = DeliCounter.getCustomer(order);
+        this.subtitleText.setText(`${customer.icon} ${customer.name} is waiting  ·  Patience ${GameModes.formatTime(order.patienceLeft)}`);
+    }
+    
+    /**
+     * Whether this puzzle is a node of the active dungeon run
+     */
+    isDungeonPuzzle() {
+        return this.dungeonNode !== undefined && DungeonSystem.isRunActive();
+    }
+    
+    /**
+     * Win or lose, a played dungeon node is cleared (unless the run just ended)
+     * @returns {boolean} True if this was a dungeon puzzle
+     */
+    finishDungeonNode() {
+        if (this.dungeonNode === undefined) return false;
+        
+        DungeonSystem.finishNode(this.dungeonNode);
+        this.dungeonNode = undefined;
+        return true;
+    }
+    
+    /**
+     * Switch to ResultsScene once the win/fail animation has played
+     * @param {object} data - ResultsScene data
+     * @param {number} delay - Milliseconds to wait
+     */
+    showResults(data, delay) {
+        this.time.delayedCall(delay, () => {
+            switchScene(this, 'ResultsScene', data);
+        });
+    }
+}
+
+/**
+ * CombatScene - The pet fights a dungeon enemy by sliding ability tiles
+ * GridManager draws and moves the tiles; CombatSystem applies the rules.
+ */
+class CombatScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'CombatScene' });
+    }
+    
+    init(data) {
+        // Index of the dungeon map node being fought (undefined outside a run)
+        this.dungeonNode = data.dungeonNode;
+        this.guardian = !!data.guardian;
+    }
+    
+    create() {
+        currentScene = this;
+        isAnimating = false;
+        isShuffling = false;
+        
+        this.combat = CombatSystem.createState(DungeonSystem.createEnemy(this.guardian));
+        const enemy = this.combat.enemy;
+        
+        this.add.text(225, 50, enemy.name.toUpperCase(), {
+            fontSize: '26px',
+            fontWeight: 'bold',
+            fill: this.guardian ? '#FF4444' : '#FFD700',
+            stroke: '#000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        this.add.text(225, 82, 'Line up a row or column of one ability!', {
+            fontSize: '14px',
+            fill: '#FFF'
+        }).setOrigin(0.5);
+        
+        // Enemy hp, its next attack and the pet's shield (refreshed every turn)
+        this.statusText = this.add.text(225, 135, '', {
+            fontSize: '16px',
+            fill: '#FFF',
+            align: 'center',
+            lineSpacing: 4
+        }).setOrigin(0.5);
+        
+        createPetPanel(this);
+        GameEvents.on(GameEvents.EVENTS.STATE_CHANGED, () => updatePetPanel(this), this);
+        
+        // Ability tiles never settle into an order, so no corner numbers
+        GridManager.createGrid(this, GAME_CONFIG.COMBAT_GRID_SIZE, {
+            sequence: CombatSystem.createSequence(GAME_CONFIG.COMBAT_GRID_SIZE),
+            tileSource: CombatSystem,
+            showOrder: false
+        });
+        setupPuzzleInput(this);
+        
+        // Last turn's events
+        this.logText = this.add.text(225, 610, '', {
+            fontSize: '15px',
+            fill: '#FFF',
+            align: 'center',
+            wordWrap: { width: 400 }
+        }).setOrigin(0.5);
+        
+        this.updateStatus();
+        
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_COMPLETE, payload => {
+            const dungeon = this.finishDungeonNode();
+            this.showResults({
+                result: 'win',
+                combat: { enemy: payload.combat.enemy.name },
+                moves: payload.moves,
+                rating: payload.rating,
+                gold: payload.gold,
+                items: payload.items,
+                dungeon: dungeon
+            }, GAME_CONFIG.RESULTS_SCREEN_DELAY);
+        }, this);
+        GameEvents.on(GameEvents.EVENTS.PUZZLE_FAIL, payload => {
+            const dungeon = this.finishDungeonNode();
+            this.showResults({
+                result: 'fail',
+                combat: { enemy: payload.combat.enemy.name },
+                moves: payload.moves,
+                rating: null,
+                dungeon: dungeon
+            }, GAME_CONFIG.FAIL_DISPLAY_DURATION);
+        }, this);
+        
+        GameEvents.emit(GameEvents.EVENTS.PUZZLE_START, {
+            recipe: null,
+            board: this.board,
+            par: null,
+            maxMoves: null
+        });
+    }
+    
+    update(time, delta) {
+        // Combat is turn-based; the loop only drives pet needs over time
+        PetSystem.update(delta);
+    }
+    
+    /**
+     * GridManager hook: every player move is one combat turn
+     */
+    onPlayerMove() {
+        const resolved = CombatSystem.resolveLines(this.combat, this.board);
+        resolved.cells.forEach(cell => GridManager.replaceTile(this, cell.row, cell.col, cell.value));
+        
+        const log = resolved.messages;
+        const enemyAttack = CombatSystem.endTurn(this.combat);
+        if (enemyAttack) log.push(enemyAttack);
+        
+        this.logText.setText(log.join('\n'));
+        this.updateStatus();
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['petStats', 'activeBuffs'], state: GameState });
+        
+        const details = { combat: { enemy: this.combat.enemy, guardian: this.guardian } };
+        if (this.combat.enemy.hp <= 0) {
+            isWon = true;
+            onPuzzleComplete(null, this.combat.turns, CombatSystem.calculateRating(this.combat), details);
+        } else if (GameState.petStats.hp <= 0) {
+            hasFailed = true;
+            onPuzzleFail(null, this.combat.turns, details);
+        }
+    }
+    
+    updateStatus() {
+        const combat = this.combat;
+        const enemy = combat.enemy;
+        this.statusText.setText(
+            `Enemy HP ${enemy.hp}/${enemy.maxHp}  ·  ATK ${enemy.attack}  DEF ${enemy.defense}\n` +
+            `Attacks for ${CombatSystem.getEnemyDamage(combat)} in ${combat.countdown} turn${combat.countdown === 1 ? '' : 's'}` +
+            `  ·  Shield ${combat.shield}`
+        );
+    }
+    
+    /**
+     * Win or lose, a fought dungeon node is cleared (unless the run just ended)
+     * @returns {boolean} True if this was a dungeon fight
+     */
+    finishDungeonNode() {
+        if (this.dungeonNode === undefined) return false;
+        
+        DungeonSystem.finishNode(this.dungeonNode);
+        this.dungeonNode = undefined;
+        return true;
+    }
+    
+    /**
+     * Switch to ResultsScene once the last turn has shown
+     * @param {object} data - ResultsScene data
+     * @param {number} delay - Milliseconds to wait
+     */
+    showResults(data, delay) {
+        this.time.delayedCall(delay, () => {
+            switchScene(this, 'ResultsScene', data);
+        });
+    }
+}
+
+/**
+ * DungeonScene - Floor map for the current run, or the last run's summary
+ */
+class DungeonScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'DungeonScene' });
+    }
+    
+    init(data) {
+        this.message = data.message || '';
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        
+        createPetPanel(this);
+        
+        this.add.text(centerX, 60, DungeonSystem.isRunActive() ? `FLOOR ${GameState.floor}` : 'THE DUNGEON', {
+            fontSize: '32px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 5
+        }).setOrigin(0.5);
+        
+        this.add.text(centerX, 100, `Gold ${GameState.gold}  ·  Deepest floor ${GameState.deepestFloor}`, {
+            fontSize: '14px',
+            fill: '#CCC'
+        }).setOrigin(0.5);
+        
+        if (DungeonSystem.isRunActive()) {
+            GameState.run.map.forEach((nodes, row) => this.createMapRow(nodes, row));
+            
+            createMenuButton(this, 145, 665, 'ABANDON', 0xFF6B6B, () => {
+                DungeonSystem.endRun('abandon');
+                switchScene(this, 'DungeonScene', { message: 'You fled the dungeon.' });
+            });
+        } else {
+            const lastRun = GameState.lastRun;
+            if (lastRun) {
+                this.add.text(centerX, 260,
+                    `Last run: reached floor ${lastRun.floor}\n` +
+                    `${lastRun.reason === 'defeat' ? 'Your pet was defeated' : 'You fled'}` +
+                    `${lastRun.goldLost > 0 ? ` and dropped ${lastRun.goldLost} gold` : ''}`, {
+                    fontSize: '16px',
+                    fill: '#FFF',
+                    align: 'center'
+                }).setOrigin(0.5);
+            }
+            
+            createMenuButton(this, centerX, 400, 'START RUN', 0x4ECDC4, () => {
+                DungeonSystem.startRun();
+                switchScene(this, 'DungeonScene');
+            }, 200);
+        }
+        
+        // Outcome of the last node
+        this.add.text(centerX, 570, this.message, {
+            fontSize: '14px',
+            fill: '#FFF',
+            align: 'center',
+            wordWrap: { width: 400 }
+        }).setOrigin(0.5);
+        
+        createMenuButton(this, DungeonSystem.isRunActive() ? 305 : centerX, 665, 'MENU', 0x8D6E63, () => {
+            switchScene(this, 'TitleScene');
+        });
+    }
+    
+    /**
+     * Draw one map row; only the current row can be entered
+     * @param {array} nodes - Row nodes
+     * @param {number} row - Row index
+     */
+    createMapRow(nodes, row) {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        const y = 170 + row * GAME_CONFIG.DUNGEON_ROW_SPACING;
+        const run = GameState.run;
+        const isCurrent = row === run.row;
+        
+        nodes.forEach((node, index) => {
+            const x = centerX + (index - (nodes.length - 1) / 2) * 130;
+            const type = DungeonSystem.NODE_TYPES[node.type];
+            const chosen = run.path[row] === index;
+            
+            const box = this.add.rectangle(x, y, 110, 60, type.color);
+            box.setStrokeStyle(3, chosen ? 0xFFD700 : 0x000000);
+            box.setAlpha(isCurrent || chosen ? 1 : 0.4);
+            
+            this.add.text(x, y - 8, `${type.icon} ${type.label}`, {
+                fontSize: '16px',
+                fontWeight: 'bold',
+                fill: '#FFF'
+            }).setOrigin(0.5);
+            
+            // Recipe name, orange if the ingredients for it are missing
+            if (node.recipeId) {
+                const recipe = RecipeSystem.getRecipeById(node.recipeId);
+                const canCook = recipe && InventorySystem.canCraft(recipe);
+                this.add.text(x, y + 14, `${recipe ? recipe.name : node.recipeId}${canCook ? '' : ' 🧺'}`, {
+                    fontSize: '11px',
+                    fill: canCook ? '#FFF' : '#FF8C42'
+                }).setOrigin(0.5);
+            }
+            
+            if (isCurrent) {
+                box.setInteractive({ useHandCursor: true });
+                box.on('pointerdown', () => this.enterNode(node, index));
+            }
+        });
+    }
+    
+    /**
+     * Resolve a node; feeding, combat and shop nodes open their scene, rest resolves here
+     */
+    enterNode(node, index) {
+        if (node.type === 'feeding') {
+            const recipe = RecipeSystem.getRecipeById(node.recipeId);
+            const missing = recipe ? InventorySystem.getMissing(recipe) : [];
+            if (missing.length > 0) {
+                switchScene(this, 'DungeonScene', { message: `Missing for ${recipe.name}: ${InventorySystem.formatItems(missing)}` });
+                return;
+            }
+            switchScene(this, 'FeedingPuzzleScene', { recipeId: node.recipeId, dungeonNode: index });
+            return;
+        }
+        if (node.type === 'combat') {
+            switchScene(this, 'CombatScene', { dungeonNode: index, guardian: node.guardian });
+            return;
+        }
+        
+        if (node.type === 'shop') {
+            switchScene(this, 'ShopScene', { dungeonNode: index });
+            return;
+        }
+        
+        let message = '';
+        if (node.type === 'rest') {
+            message = DungeonSystem.rest(index);
+        }
+        
+        switchScene(this, 'DungeonScene', { message: message });
+    }
+}
+
+/**
+ * ShopScene - Spend gold on ingredients and consumables
+ * Opened from the title screen or a dungeon shop node (leaving clears the node).
+ */
+class ShopScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'ShopScene' });
+    }
+    
+    init(data) {
+        this.page = data.page || 0;
+        this.message = data.message || '';
+        
+        // Index of the dungeon map node (undefined when opened from the title screen)
+        this.dungeonNode = data.dungeonNode;
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        const catalog = ShopSystem.getCatalog();
+        const pageSize = GAME_CONFIG.SHOP_PAGE_SIZE;
+        const pageCount = Math.max(1, Math.ceil(catalog.length / pageSize));
+        this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+        
+        this.add.text(centerX, 50, this.dungeonNode !== undefined ? 'DUNGEON SHOP' : 'SHOP', {
+            fontSize: '28px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        const scale = ShopSystem.getPriceScale();
+        this.add.text(centerX, 85, `Gold ${GameState.gold}${scale !== 1 ? `  ·  Floor ${GameState.floor} prices x${scale.toFixed(2)}` : ''}`, {
+            fontSize: '14px',
+            fill: '#CCC'
+        }).setOrigin(0.5);
+        
+        catalog.slice(this.page * pageSize, (this.page + 1) * pageSize).forEach((entry, index) => {
+            this.createItemRow(entry, 135 + index * GAME_CONFIG.RECIPE_SELECT_ROW_HEIGHT);
+        });
+        
+        // Outcome of the last purchase
+        this.add.text(centerX, 560, this.message, {
+            fontSize: '14px',
+            fill: '#FFF',
+            align: 'center',
+            wordWrap: { width: 400 }
+        }).setOrigin(0.5);
+        
+        if (pageCount > 1) {
+            this.add.text(centerX, 610, `Page ${this.page + 1} / ${pageCount}`, {
+                fontSize: '14px',
+                fill: '#CCC'
+            }).setOrigin(0.5);
+            
+            if (this.page > 0) {
+                createMenuButton(this, 60, 610, '◀', 0x8D6E63, () => this.reopen(this.page - 1));
+            }
+            if (this.page < pageCount - 1) {
+                createMenuButton(this, 390, 610, '▶', 0x8D6E63, () => this.reopen(this.page + 1));
+            }
+        }
+        
+        createMenuButton(this, centerX, 665, this.dungeonNode !== undefined ? 'LEAVE' : 'BACK', 0xFF6B6B, () => {
+            if (this.dungeonNode !== undefined) {
+                DungeonSystem.finishNode(this.dungeonNode);
+                switchScene(this, 'DungeonScene');
+            } else {
+                switchScene(this, 'TitleScene');
+            }
+        });
+    }
+    
+    /**
+     * One catalog entry: name, held count and price, then its description
+     * @param {object} entry - From ShopSystem.getCatalog()
+     * @param {number} y - Row center
+     */
+    createItemRow(entry, y) {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        const affordable = GameState.gold >= entry.price;
+        
+        const row = this.add.rectangle(centerX, y, 400, GAME_CONFIG.RECIPE_SELECT_ROW_HEIGHT - 6, 0x3E2723);
+        row.setStrokeStyle(2, 0x000000);
+        row.setInteractive({ useHandCursor: true });
+        row.on('pointerover', () => row.setFillStyle(0x5D4037));
+        row.on('pointerout', () => row.setFillStyle(0x3E2723));
+        row.on('pointerdown', () => this.reopen(this.page, ShopSystem.buy(entry.id)));
+        
+        const held = entry.type === 'instant' ? '' : `  (${InventorySystem.getCount(entry.id)} held)`;
+        this.add.text(40, y - 11, `${entry.name}${held}`, {
+            fontSize: '16px',
+            fontWeight: 'bold',
+            fill: '#FFF'
+        }).setOrigin(0, 0.5);
+        
+        this.add.text(410, y - 11, `${entry.price}g`, {
+            fontSize: '16px',
+            fontWeight: 'bold',
+            fill: affordable ? '#FFD700' : '#888'
+        }).setOrigin(1, 0.5);
+        
+        this.add.text(40, y + 11, entry.description, {
+            fontSize: '12px',
+            fill: '#CCC'
+        }).setOrigin(0, 0.5);
+    }
+    
+    /**
+     * Redraw the shop (after a purchase or page change)
+     */
+    reopen(page, message = '') {
+        switchScene(this, 'ShopScene', { page: page, message: message, dungeonNode: this.dungeonNode });
+    }
+}
+
+/**
+ * DeliCounterScene - Customers waiting at the counter (DeliCounter)
+ * Pick an order to cook it; patience bars drain live and the scene redraws
+ * whenever someone walks in or out.
+ */
+class DeliCounterScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'DeliCounterScene' });
+    }
+    
+    init(data) {
+        this.message = data.message || '';
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        DeliCounter.open();
+        
+        this.add.text(centerX, 50, 'DELI COUNTER', {
+            fontSize: '28px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        this.add.text(centerX, 85, `Gold ${GameState.gold}  ·  Walkouts ${DeliCounter.walkouts}`, {
+            fontSize: '14px',
+            fill: '#CCC'
+        }).setOrigin(0.5);
+        
+        // Patience bars refreshed in update()
+        this.bars = [];
+        DeliCounter.queue.forEach((order, index) => {
+            this.createOrderRow(order, 135 + index * GAME_CONFIG.RECIPE_SELECT_ROW_HEIGHT);
+        });
+        
+        if (DeliCounter.queue.length === 0) {
+            this.add.text(centerX, 200, 'No one is waiting.\nSomeone will be along shortly.', {
+                fontSize: '16px',
+                fill: '#FFF',
+                align: 'center'
+            }).setOrigin(0.5);
+        }
+        
+        this.arrivalText = this.add.text(centerX, 530, '', {
+            fontSize: '14px',
+            fill: '#CCC'
+        }).setOrigin(0.5);
+        
+        // Who came or went, or why an order couldn't be cooked
+        this.messageText = this.add.text(centerX, 575, this.message, {
+            fontSize: '14px',
+            fill: '#FF8C42',
+            align: 'center',
+            wordWrap: { width: 400 }
+        }).setOrigin(0.5);
+        
+        createMenuButton(this, centerX, 665, 'BACK', 0xFF6B6B, () => {
+            switchScene(this, 'TitleScene');
+        }, 200);
+        
+        this.updateBars();
+    }
+    
+    update(time, delta) {
+        const changes = DeliCounter.update(delta);
+        const news = [
+            ...changes.left.map(order => `${DeliCounter.getCustomer(order).name} got tired of waiting.`),
+            ...changes.arrived.map(order => `${DeliCounter.getCustomer(order).name} walked in.`)
+        ];
+        
+        if (news.length > 0) {
+            switchScene(this, 'DeliCounterScene', { message: news.join(' ') });
+            return;
+        }
+        this.updateBars();
+    }
+    
+    /**
+     * One order: customer and tip, then the recipe and a patience bar
+     * @param {object} order - DeliCounter order
+     * @param {number} y - Row center
+     */
+    createOrderRow(order, y) {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        const customer = DeliCounter.getCustomer(order);
+        const recipe = RecipeSystem.getRecipeById(order.recipeId);
+        
+        const row = this.add.rectangle(centerX, y, 400, GAME_CONFIG.RECIPE_SELECT_ROW_HEIGHT - 6, 0x3E2723);
+        row.setStrokeStyle(2, 0x000000);
+        row.setInteractive({ useHandCursor: true });
+        row.on('pointerover', () => row.setFillStyle(0x5D4037));
+        row.on('pointerout', () => row.setFillStyle(0x3E2723));
+        row.on('pointerdown', () => this.cookOrder(order, recipe));
+        
+        this.add.text(40, y - 11, `${customer.icon} ${customer.name}`, {
+            fontSize: '16px',
+            fontWeight: 'bold',
+            fill: '#FFF'
+        }).setOrigin(0, 0.5);
+        
+        this.add.text(410, y - 11, `Tip up to ${order.tip}g`, {
+            fontSize: '14px',
+            fill: '#FFD700'
+        }).setOrigin(1, 0.5);
+        
+        this.add.text(40, y + 11, `${recipe.name} · ${recipe.difficulty || 'Normal'}`, {
+            fontSize: '12px',
+            fill: '#CCC'
+        }).setOrigin(0, 0.5);
+        
+        this.add.rectangle(310, y + 11, 100, 8, 0x000000).setOrigin(0, 0.5);
+        const bar = this.add.rectangle(310, y + 11, 100, 8, 0x2ECC71).setOrigin(0, 0.5);
+        this.bars.push({ order: order, bar: bar });
+    }
+    
+    /**
+     * Patience bars and the next-arrival countdown
+     */
+    updateBars() {
+        this.bars.forEach(({ order, bar }) => {
+            const share = order.patience > 0 ? order.patienceLeft / order.patience : 0;
+            bar.setScale(share, 1);
+            bar.setFillStyle(share > 0.5 ? 0x2ECC71 : (share > 0.25 ? 0xF7B731 : 0xE74C3C));
+        });
+        
+        const full = DeliCounter.queue.length >= GAME_CONFIG.COUNTER_QUEUE_SIZE;
+        this.arrivalText.setText(full ? 'The counter is full' :
+            `Next customer in ${GameModes.formatTime(DeliCounter.arrivalTimer)}`);
+    }
+    
+    /**
+     * Cook a customer's order (ingredients permitting)
+     */
+    cookOrder(order, recipe) {
+        const missingItems = InventorySystem.getMissing(recipe);
+        if (missingItems.length > 0) {
+            this.messageText.setText(`Missing for ${recipe.name}: ${InventorySystem.formatItems(missingItems)}`);
+            return;
+        }
+        if (!DeliCounter.takeOrder(order.id)) return;
+        
+        switchScene(this, 'FeedingPuzzleScene', { recipeId: recipe.id, counterOrder: order.id });
+    }
+}
+
+/**
+ * ResultsScene - Win/fail summary with retry and navigation
+ */
+class ResultsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'ResultsScene' });
+    }
+    
+    init(data) {
+        this.results = data;
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        const results = this.results;
+        const won = results.result === 'win';
+        const recipe = RecipeSystem.getRecipeById(results.recipeId);
+        
+        let title = results.combat ? (won ? 'VICTORY!' : 'DEFEATED') : (won ? 'ORDER UP!' : 'RECIPE RUINED');
+        if (results.timedOut) title = results.rush ? 'RUSH HOUR OVER' : "TIME'S UP!";
+        this.add.text(centerX, 120, title, {
+            fontSize: '36px',
+            fontWeight: 'bold',
+            fill: won ? '#FFD700' : '#FF4444',
+            stroke: '#000',
+            strokeThickness: 6
+        }).setOrigin(0.5);
+        
+        let subtitle = results.combat ? results.combat.enemy : (recipe ? recipe.name : null);
+        if (results.daily && subtitle) subtitle = `Daily Special: ${subtitle}`;
+        if (results.mode && results.mode !== 'moves' && subtitle) subtitle = `${GameModes.get(results.mode).name}: ${subtitle}`;
+        if (subtitle) {
+            this.add.text(centerX, 170, subtitle, {
+                fontSize: '20px',
+                fill: '#FFF'
+            }).setOrigin(0.5);
+        }
+        
+        if (won && results.rating) {
+            this.add.text(centerX, 230, results.rating, {
+                fontSize: '32px',
+                fontWeight: 'bold',
+                fill: '#FFD700'
+            }).setOrigin(0.5);
+        }
+        
+        const lines = [`${results.combat ? 'Turns' : 'Moves'}: ${results.moves}${results.par ? `  (Par ${results.par})` : ''}`];
+        if (typeof results.timeLeft === 'number' && won) {
+            lines.push(`Time left: ${GameModes.formatTime(results.timeLeft)}`);
+        }
+        if (results.counter) {
+            const customer = DeliCounter.getCustomer(results.counter.order);
+            lines.push(won ?
+                `${customer.name} paid ${results.counter.total}g (tip ${results.counter.tip}g)` :
+                `${customer.name} left without lunch`);
+        }
+        if (results.rush) {
+            lines.push(`Orders served: ${results.rush.orders}  ·  ⭐ ${results.rush.stars}`);
+            if (results.rush.gold) lines.push(`Rush gold: +${results.rush.gold}`);
+        }
+        if (results.hintsUsed) {
+            lines.push(`Hints used: ${results.hintsUsed}`);
+        }
+        
+        // Move history: undo/redo use and the moves that stayed on the board
+        const history = results.history;
+        if (history && (history.undos > 0 || history.redos > 0)) {
+            lines.push(`Undos: ${history.undos}  ·  Redos: ${history.redos}`);
+        }
+        if (history && history.path.length > 0) {
+            const arrows = history.path.map(move => getMoveArrow(move)).join('');
+            const maxArrows = GAME_CONFIG.RESULTS_PATH_MAX_ARROWS;
+            lines.push(`Path: ${arrows.length > maxArrows ? `${arrows.slice(0, maxArrows)}…` : arrows}`);
+        }
+        if (won && results.buffs && results.buffs.length > 0) {
+            const buffs = results.buffs.map(buff =>
+                `+${buff.amount} ${buff.stat}${buff.unit ? ` (${buff.count} ${buff.unit})` : ''}`);
+            lines.push(`Pet buffs: ${buffs.join(', ')}`);
+        }
+        if (won && results.gold) {
+            lines.push(`Gold +${results.gold}`);
+        }
+        if (won && results.items && results.items.length > 0) {
+            lines.push(`Found: ${InventorySystem.formatItems(results.items)}`);
+        }
+        if (won && results.fed) {
+            lines.push(`Hunger +${results.fed}`);
+        }
+        if (!won && results.wasted) {
+            lines.push(`Wasted food: ${results.wasted}`);
+        }
+        const dailyBest = results.daily ? DailySpecial.getBest(results.daily) : null;
+        if (dailyBest) {
+            lines.push(`Today's best: ${'⭐'.repeat(dailyBest.stars)} in ${dailyBest.moves} moves`);
+        }
+        lines.push(`Pet HP: ${GameState.petStats.hp} / ${BuffSystem.getEffectiveStat('maxHp')}`);
+        
+        const penalties = PetSystem.getPenalties();
+        if (penalties.length > 0) {
+            lines.push(`Pet is ${penalties.join(' and ').toLowerCase()}!`);
+        }
+        
+        // Newly unlocked recipes
+        (results.unlocked || []).forEach(recipeId => {
+            const unlocked = RecipeSystem.getRecipeById(recipeId);
+            if (unlocked) lines.push(`🔓 Unlocked: ${unlocked.name}`);
+        });
+        
+        this.add.text(centerX, 320, lines.join('\n'), {
+            fontSize: AccessibilitySettings.fontSize(16),
+            fill: '#FFF',
+            align: 'center',
+            lineSpacing: 8
+        }).setOrigin(0.5);
+        
+        // Dungeon puzzles and fights continue the run (the map node is already used up)
+        if (results.dungeon) {
+            createMenuButton(this, centerX, 470, 'CONTINUE', 0x4ECDC4, () => {
+                const message = DungeonSystem.isRunActive() ? '' : 'Your pet collapsed. The run is over.';
+                switchScene(this, 'DungeonScene', { message: message });
+            }, 200);
+        } else if (results.counter) {
+            createMenuButton(this, centerX, 470, 'COUNTER', 0x4ECDC4, () => {
+                switchScene(this, 'DeliCounterScene');
+            }, 200);
+        } else if (results.daily) {
+            createMenuButton(this, centerX, 470, 'RETRY', 0x4ECDC4, () => {
+                switchScene(this, 'FeedingPuzzleScene', { daily: true });
+            }, 200);
+        } else if (recipe && (results.mode === 'rush' || InventorySystem.canCraft(recipe))) {
+            createMenuButton(this, centerX, 470, 'RETRY', 0x4ECDC4, () => {
+                switchScene(this, 'FeedingPuzzleScene', { recipeId: results.recipeId, mode: results.mode });
+            }, 200);
+        }
+        
+        if (GAME_CONFIG.RECIPE_MODE) {
+            createMenuButton(this, centerX, 530, 'RECIPES', 0xF7B731, () => {
+                switchScene(this, 'RecipeSelectScene', { page: 0 });
+            }, 200);
+        }
+        
+        createMenuButton(this, centerX, 590, 'MENU', 0xFF6B6B, () => {
+            switchScene(this, 'TitleScene');
+        }, 200);
+        
+        if (results.replay) {
+            createMenuButton(this, centerX, 650, 'WATCH REPLAY', 0x9B59B6, () => {
+                switchScene(this, 'ReplayScene', { replay: results.replay, results: results });
+            }, 200);
+        }
+    }
+}
+
+/**
+ * ReplayScene - Plays a recorded puzzle back through GridManager.moveTile
+ * Moves keep their recorded pacing (long pauses are cut to REPLAY_MAX_GAP),
+ * scaled by the playback speed. Tiles are display-only.
+ * EXPORT copies the replay JSON for a bug report; IMPORT plays a pasted one.
+ */
+class ReplayScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'ReplayScene' });
+    }
+    
+    init(data) {
+        this.replay = data.replay || ReplaySystem.getLast();
+        
+        // ResultsScene data to go back to (omitted = title)
+        this.results = data.results || null;
+    }
+    
+    create() {
+        const centerX = GAME_CONFIG.CANVAS_WIDTH / 2;
+        isAnimating = false;
+        isShuffling = false;
+        
+        this.add.text(centerX, 50, 'REPLAY', {
+            fontSize: '28px',
+            fontWeight: 'bold',
+            fill: '#FFD700',
+            stroke: '#000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        this.statusText = this.add.text(centerX, 145, '', {
+            fontSize: '16px',
+            fill: '#FFF'
+        }).setOrigin(0.5);
+        
+        const importText = this.add.text(435, 15, 'IMPORT', {
+            fontSize: '14px',
+            fontWeight: 'bold',
+            fill: '#FFF'
+        }).setOrigin(1, 0).setInteractive({ useHandCursor: true });
+        importText.on('pointerdown', () => this.importReplay());
+        
+        if (!this.replay) {
+            this.add.text(centerX, 300, 'No replays recorded yet.', {
+                fontSize: '16px',
+                fill: '#FFF'
+            }).setOrigin(0.5);
+            this.createBackButton();
+            return;
+        }
+        
+        const replay = this.replay;
+        const recipe = RecipeSystem.getRecipeById(replay.recipeId);
+        const outcome = { win: 'solved', fail: 'failed' }[replay.result] || 'unfinished';
+        this.add.text(centerX, 85, `${recipe ? recipe.name : replay.recipeId || 'Puzzle'} (${outcome})`, {
+            fontSize: '14px',
+            fill: '#FFF'
+        }).setOrigin(0.5);
+        
+        // Recorded start board, drawn with the recipe's own tiles
+        GridManager.createGrid(this, replay.size, { sequence: replay.target, interactive: false });
+        this.board = ReplayLog.buildBoard(replay);
+        GridManager.syncTilesToBoard(this);
+        
+        // Controls
+        this.pauseButton = createMenuButton(this, 85, 610, 'PAUSE', 0x4ECDC4, () => this.togglePause(), 120);
+        createMenuButton(this, centerX, 610, 'STEP', 0xF7B731, () => this.step(), 120);
+        this.speedButton = createMenuButton(this, 365, 610, '', 0x9B59B6, () => this.cycleSpeed(), 120);
+        this.createBackButton();
+        
+        const exportText = this.add.text(10, 15, 'EXPORT', {
+            fontSize: '14px',
+            fontWeight: 'bold',
+            fill: '#FFF'
+        }).setInteractive({ useHandCursor: true });
+        exportText.on('pointerdown', () => this.exportReplay());
+        
+        this.index = 0;
+        this.paused = false;
+        this.speedIndex = Math.max(0, GAME_CONFIG.REPLAY_SPEEDS.indexOf(1));
+        this.speedButton.label.setText(`${this.getSpeed()}x`);
+        this.updateStatus();
+        this.scheduleNext();
+    }
+    
+    createBackButton() {
+        createMenuButton(this, GAME_CONFIG.CANVAS_WIDTH / 2, 665, 'BACK', 0xFF6B6B, () => {
+            if (this.results) {
+                switchScene(this, 'ResultsScene', this.results);
+            } else {
+                switchScene(this, 'TitleScene');
+            }
+        }, 200);
     }
     
-    // Debug logging
-    if (GAME_CONFIG.DEBUG_MODE) {
-        console.log('[switchScene]', {
-            from: scene.scene.key || 'Unknown',
-            to: targetKey,
-            data: data
+    getSpeed() {
+        return GAME_CONFIG.REPLAY_SPEEDS[this.speedIndex];
+    }
+    
+    isFinished() {
+        return this.index >= this.replay.moves.length;
+    }
+    
+    /**
+     * Wait as long as the player did before the next move, then play it
+     */
+    scheduleNext() {
+        if (this.paused || this.isFinished()) return;
+        
+        const previous = this.index > 0 ? ReplayLog.getMove(this.replay, this.index - 1).time : 0;
+        const gap = Math.min(ReplayLog.getMove(this.replay, this.index).time - previous, GAME_CONFIG.REPLAY_MAX_GAP);
+        const index = this.index;
+        
+        this.nextMoveTimer = this.time.delayedCall(Math.max(0, gap) / this.getSpeed(), () => {
+            // Pausing or stepping meanwhile makes this wait stale
+            if (!this.paused && this.index === index) this.playNext();
         });
     }
     
-    // Clean up current scene (stop tweens, clear timers)
-    scene.tweens.killAll();
-    scene.time.removeAllEvents();
+    /**
+     * Slide the next recorded move
+     */
+    playNext() {
+        if (this.isFinished() || isAnimating) return;
+        
+        const move = ReplayLog.getMove(this.replay, this.index);
+        const tile = GridManager.getTileAt(this, move.row, move.col);
+        this.index++;
+        
+        GridManager.moveTile(tile, this, false, () => {
+            this.updateStatus(move);
+            this.scheduleNext();
+        }, move.to, GAME_CONFIG.TILE_SLIDE_DURATION / this.getSpeed());
+    }
     
-    // Transition to target scene
-    scene.scene.start(targetKey, data);
-}
-
-// =============================================================================
-// PHASER LIFECYCLE FUNCTIONS
-// =============================================================================
-
-function preload() {
-    // No assets to load for prototype
-}
-
-function create() {
-    currentScene = this;
+    /**
+     * Pause/resume; once finished the button starts the replay over
+     */
+    togglePause() {
+        if (this.isFinished() && !isAnimating) {
+            switchScene(this, 'ReplayScene', { replay: this.replay, results: this.results });
+            return;
+        }
+        
+        this.paused = !this.paused;
+        if (this.paused && this.nextMoveTimer) {
+            this.nextMoveTimer.remove();
+        }
+        
+        this.pauseButton.label.setText(this.paused ? 'PLAY' : 'PAUSE');
+        if (!this.paused) this.scheduleNext();
+    }
+    
+    /**
+     * Pause and play exactly one move
+     */
+    step() {
+        if (!this.paused && !this.isFinished()) this.togglePause();
+        this.playNext();
+    }
+    
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % GAME_CONFIG.REPLAY_SPEEDS.length;
+        this.speedButton.label.setText(`${this.getSpeed()}x`);
+    }
     
-    // Phase 1.6: Initialize recipe system
-    if (GAME_CONFIG.RECIPE_MODE) {
-        // Load default recipe or use last completed recipe
-        const recipeId = GAME_CONFIG.DEFAULT_RECIPE_ID;
-        GameState.currentRecipe = RecipeSystem.getRecipeById(recipeId);
+    /**
+     * Move counter and the recorded time of the last move
+     * @param {object} move - Move just played (ReplayLog.getMove)
+     */
+    updateStatus(move = null) {
+        const seconds = move ? (move.time / 1000).toFixed(1) : '0.0';
+        const kind = move && move.kind !== 'move' ? `  ·  ${move.kind}` : '';
+        const done = this.isFinished() ? '  ·  done' : '';
+        this.statusText.setText(`Move ${this.index} / ${this.replay.moves.length}  ·  ${seconds}s${kind}${done}`);
         
-        // Validate recipe
-        if (!RecipeSystem.validateRecipe(GameState.currentRecipe)) {
-            console.error('[Phase 1.6] Invalid recipe:', recipeId);
-            GameState.currentRecipe = RECIPES[0]; // Fallback to first recipe
+        if (this.isFinished()) {
+            this.pauseButton.label.setText('RESTART');
         }
+    }
+    
+    /**
+     * Copy the replay JSON to the clipboard; where the browser has no clipboard
+     * access (file://, plain http) or refuses, log it to the console instead
+     */
+    exportReplay() {
+        const json = ReplaySystem.export(this.replay);
+        const logInstead = reason => {
+            console.log('[ReplayScene] Replay JSON:', json);
+            this.showMessage(`${reason}, replay JSON logged to the console`);
+        };
         
-        // Phase 1.6: Apply recipe configuration
-        RecipeSystem.applyRecipeConfig(GameState.currentRecipe);
+        if (typeof navigator === 'undefined' || !navigator.clipboard || !navigator.clipboard.writeText) {
+            logInstead('No clipboard access');
+            return;
+        }
         
-        // Create recipe UI display
-        createRecipeUI(this);
+        this.showMessage('Copying replay JSON…');
+        navigator.clipboard.writeText(json).then(
+            () => this.showMessage('Replay JSON copied to the clipboard'),
+            () => logInstead('Copy was blocked')
+        );
     }
     
-    // Create title
-    const title = this.add.text(225, 50, 'SANDWICH PUZZLE', {
-        fontSize: '28px',
-        fontWeight: 'bold',
-        fill: '#FFD700',
-        stroke: '#000',
-        strokeThickness: 4
-    }).setOrigin(0.5);
-
-    // Create subtitle
-    const subtitle = this.add.text(225, 85, GAME_CONFIG.RECIPE_MODE ? 
-        'Follow the recipe!' : 'Slide tiles to build the sandwich!', {
-        fontSize: '14px',
-        fill: '#FFF'
-    }).setOrigin(0.5);
-
-    // Create move counter with limit display
-    this.moveText = this.add.text(225, 145, `Moves: 0 / ${GAME_CONFIG.MAX_MOVES}`, {
-        fontSize: '18px',
-        fill: '#FFF'
-    }).setOrigin(0.5);
-
-    // Initialize the grid
-    GridManager.createGrid(this, GAME_CONFIG.GRID_SIZE);
-
-    // Create reset button
-    createResetButton(this);
-
-    // Create win message (hidden initially)
-    this.winText = this.add.text(225, 600, GAME_CONFIG.RECIPE_MODE ? 
-        'RECIPE COMPLETE!' : 'SANDWICH COMPLETE!', {
-        fontSize: '28px',
-        fontWeight: 'bold',
-        fill: '#FFD700',
-        stroke: '#000',
-        strokeThickness: 6
-    }).setOrigin(0.5).setVisible(false);
-
-    // Create rating display (hidden initially)
-    this.ratingText = this.add.text(225, 640, '', {
-        fontSize: '32px',
-        fontWeight: 'bold',
-        fill: '#FFD700'
-    }).setOrigin(0.5).setVisible(false);
-
-    // Create fail message (hidden initially)
-    this.failText = this.add.text(225, 620, GAME_CONFIG.RECIPE_MODE ?
-        'Recipe ruined!\nTry again...' : 'Your sandwich fell apart!\nTry again...', {
-        fontSize: '24px',
-        fontWeight: 'bold',
-        fill: '#FF4444',
-        stroke: '#000',
-        strokeThickness: 4,
-        align: 'center'
-    }).setOrigin(0.5).setVisible(false);
-
-    // Phase 1.6: Setup debug mode
-    if (GAME_CONFIG.DEBUG_MODE) {
-        setupDebugMode(this);
+    /**
+     * Ask for a tester's replay JSON, keep it with the recent replays and play it
+     */
+    importReplay() {
+        const text = typeof window !== 'undefined' && window.prompt ? window.prompt('Paste replay JSON') : null;
+        if (!text) return;
+        
+        const replay = ReplaySystem.import(text);
+        if (!replay) {
+            this.showMessage('Not a playable replay');
+            return;
+        }
+        switchScene(this, 'ReplayScene', { replay: replay, results: this.results });
+    }
+    
+    /**
+     * Status line text (skipped once the scene has been left, e.g. after a slow copy)
+     */
+    showMessage(text) {
+        if (this.statusText.active) this.statusText.setText(text);
     }
-
-    // Perform animated shuffle on start
-    ShuffleSystem.performAnimatedShuffle(this);
-}
-
-function update() {
-    // Update loop (not needed for turn-based puzzle)
 }
 
 // =============================================================================
@@ -546,15 +5379,17 @@ function update() {
  * - Recipe cycling with keyboard
  * - Console logging
  * - Debug UI overlay
+ * - Seeds (puzzle and session) to reproduce a reported board
  */
 function setupDebugMode(scene) {
     // Add debug text overlay
-    const debugText = scene.add.text(10, 10, 'DEBUG MODE\nPress R to cycle recipes', {
+    scene.debugText = scene.add.text(10, 40, '', {
         fontSize: '12px',
         fill: '#FF0',
         backgroundColor: '#000',
         padding: { x: 5, y: 5 }
     }).setDepth(1000);
+    updateDebugText(scene);
     
     // Recipe cycling with R key
     scene.input.keyboard.on('keydown-R', () => {
@@ -564,6 +5399,15 @@ function setupDebugMode(scene) {
     console.log('[Debug] Debug mode enabled. Press R to cycle recipes.');
 }
 
+/**
+ * Refresh the debug overlay (puzzle seed changes on every shuffle)
+ * A reported puzzle seed goes into DEBUG_PUZZLE_SEED to get the same board again.
+ */
+function updateDebugText(scene) {
+    const seed = scene.shuffleSeed === undefined ? '-' : scene.shuffleSeed;
+    scene.debugText.setText(`DEBUG MODE\nPress R to cycle recipes\nPuzzle seed: ${seed}\nSession seed: ${GameRandom.sessionSeed}`);
+}
+
 /**
  * Cycle to next recipe (debug feature)
  */
@@ -578,8 +5422,7 @@ function cycleToNextRecipe(scene) {
     console.log('[Debug] Cycling to recipe:', nextRecipe.name);
     
     // Update recipe
-    GameState.currentRecipe = nextRecipe;
-    RecipeSystem.applyRecipeConfig(nextRecipe);
+    RecipeSystem.setCurrentRecipe(nextRecipe);
     
     // Refresh UI and grid
     createRecipeUI(scene);
@@ -587,13 +5430,13 @@ function cycleToNextRecipe(scene) {
     ShuffleSystem.performAnimatedShuffle(scene);
     
     // Reset state
-    moveCount = 0;
     isWon = false;
     hasFailed = false;
-    scene.moveText.setText(`Moves: 0 / ${GAME_CONFIG.MAX_MOVES}`);
+    updateMoveText(scene);
     scene.winText.setVisible(false);
     scene.ratingText.setVisible(false);
     scene.failText.setVisible(false);
+    scene.hintText.setVisible(false);
 }
 
 // =============================================================================
@@ -611,7 +5454,7 @@ function createRecipeUI(scene) {
     // Recipe name/title with difficulty indicator
     const recipeTitleText = `Recipe: ${recipe.name} [${recipe.difficulty || 'Normal'}]`;
     const recipeTitle = scene.add.text(225, 110, recipeTitleText, {
-        fontSize: '18px',
+        fontSize: AccessibilitySettings.fontSize(18),
         fill: '#FFD700',
         fontWeight: 'bold',
         stroke: '#000',
@@ -619,19 +5462,74 @@ function createRecipeUI(scene) {
     }).setOrigin(0.5);
     recipeUIElements.push(recipeTitle);
     
-    // Recipe ingredient order
-    const ingredientList = recipe.sequence
-        .map(id => INGREDIENTS[id - 1])
-        .join(' → ');
+    // Recipe ingredient order (long recipes are shortened to fit two lines)
+    const ingredientList = formatIngredientOrder(recipe.sequence, GAME_CONFIG.RECIPE_ORDER_MAX_CHARS);
     
     const recipeOrder = scene.add.text(225, 130, `Order: ${ingredientList}`, {
-        fontSize: '12px',
+        fontSize: AccessibilitySettings.fontSize(recipe.sequence.length > 8 ? 11 : 12),
         fill: '#FFF',
         wordWrap: { width: 400 }
     }).setOrigin(0.5);
     recipeUIElements.push(recipeOrder);
 }
 
+/**
+ * Join ingredient names in recipe order, cut with "+N more" past maxChars
+ * @param {array} sequence - Recipe ingredient ids
+ * @param {number} maxChars - Character budget for the joined list
+ * @returns {string} Display text
+ */
+function formatIngredientOrder(sequence, maxChars) {
+    const names = sequence.map(id => IngredientRegistry.getName(id));
+    const full = names.join(' → ');
+    if (full.length <= maxChars) return full;
+    
+    let shown = names.length;
+    let text = full;
+    while (shown > 1 && text.length > maxChars) {
+        shown--;
+        text = `${names.slice(0, shown).join(' → ')} → … (+${names.length - shown} more)`;
+    }
+    return text;
+}
+
+/**
+ * Refresh the move counter: moves used, move limit (or clock) and the scramble's par
+ */
+function updateMoveText(scene) {
+    const moveCount = scene.board ? scene.board.moveCount : 0;
+    const limitLabel = GameModes.hasMoveLimit(scene) ? ` / ${GAME_CONFIG.MAX_MOVES}` : '';
+    const clockLabel = typeof scene.timeLeft === 'number' ? `  ⏱ ${GameModes.formatTime(scene.timeLeft)}` : '';
+    const parLabel = scene.par ? `  (Par ${scene.par})` : '';
+    scene.moveText.setText(`Moves: ${moveCount}${limitLabel}${clockLabel}${parLabel}`);
+}
+
+/**
+ * Small pet status panel (top-left): hp, hunger, stamina and penalties
+ */
+function createPetPanel(scene) {
+    scene.petText = scene.add.text(10, 10, '', {
+        fontSize: AccessibilitySettings.fontSize(12),
+        fill: '#FFF',
+        lineSpacing: 2
+    });
+    updatePetPanel(scene);
+}
+
+function updatePetPanel(scene) {
+    if (!scene.petText) return;
+    
+    const stats = GameState.petStats;
+    const penalties = PetSystem.getPenalties();
+    const lines = [`❤ ${stats.hp}/${BuffSystem.getEffectiveStat('maxHp')}  🍖 ${stats.hunger}  ⚡ ${stats.stamina}`];
+    if (penalties.length > 0) {
+        lines.push(penalties.join(' · '));
+    }
+    
+    scene.petText.setText(lines.join('\n'));
+    scene.petText.setColor(penalties.length > 0 ? '#FF8C42' : '#FFF');
+}
+
 // =============================================================================
 // PHASE 1.6: GRID MANAGER MODULE (SHARED SYSTEM)
 // =============================================================================
@@ -640,227 +5538,453 @@ function createRecipeUI(scene) {
  * GridManager - Core grid logic shared across all puzzle scenes
  * This module handles: grid creation, tile management, movement, win detection
  * 
- * REUSABLE: Combat puzzle will use this same manager with different win logic
+ * REUSABLE: CombatScene uses this same manager with ability tiles and its own
+ * move rules (scene.onPlayerMove replaces the feeding move limit/win check)
  */
 const GridManager = {
     /**
-     * Creates an NxN grid with tiles and initializes game state
+     * Creates an NxN board (PuzzleBoard) and renders a tile for each ingredient
+     * The board lives on the scene so several scenes can own their own puzzle
      * @param {Phaser.Scene} scene - The Phaser scene
      * @param {number} gridSize - Size of grid (3 = 3x3, 4 = 4x4, etc.)
+     * @param {object} options - Other tile sets (combat ability tiles):
+     *   { sequence, tileSource (object with get(id)), showOrder (corner numbers, default true),
+     *     interactive (tiles take clicks, default true; false for ReplayScene) }
      */
-    createGrid: function(scene, gridSize = 3) {
+    createGrid: function(scene, gridSize = 3, options = {}) {
         // Clear existing tiles
-        tiles.forEach(tile => tile.container.destroy());
-        tiles = [];
+        (scene.tiles || []).forEach(tile => tile.container.destroy());
+        scene.tiles = [];
+        scene.tileSource = options.tileSource || IngredientRegistry;
+        scene.showTileOrder = options.showOrder !== false;
+        scene.tilesInteractive = options.interactive !== false;
         
-        // Initialize 2D grid array
-        gridData = [];
+        this.applyLayout(gridSize);
         
-        if (GAME_CONFIG.RECIPE_MODE && GameState.currentRecipe) {
-            // Recipe mode: Populate from recipe sequence
-            const recipeSequence = GameState.currentRecipe.sequence;
-            const totalCells = gridSize * gridSize;
-            
-            let sequenceIndex = 0;
-            for (let row = 0; row < gridSize; row++) {
-                gridData[row] = [];
-                for (let col = 0; col < gridSize; col++) {
-                    const cellIndex = row * gridSize + col;
-                    
-                    if (cellIndex < recipeSequence.length) {
-                        gridData[row][col] = recipeSequence[sequenceIndex];
-                        sequenceIndex++;
-                    } else {
-                        gridData[row][col] = 0;
-                    }
-                    
-                    if (gridData[row][col] !== 0) {
-                        this.createTile(scene, row, col, gridData[row][col]);
-                    }
-                }
-            }
-            
-            // Find empty position
-            for (let row = gridSize - 1; row >= 0; row--) {
-                for (let col = gridSize - 1; col >= 0; col--) {
-                    if (gridData[row][col] === 0) {
-                        emptyPos = { row, col };
-                        break;
-                    }
-                }
-            }
+        // Given sequence, else recipe mode: recipe sequence, legacy mode: registry order
+        let sequence;
+        if (options.sequence) {
+            sequence = options.sequence;
+        } else if (GAME_CONFIG.RECIPE_MODE && GameState.currentRecipe) {
+            sequence = GameState.currentRecipe.sequence;
         } else {
-            // Legacy mode: Sequential 1-8
-            for (let row = 0; row < gridSize; row++) {
-                gridData[row] = [];
-                for (let col = 0; col < gridSize; col++) {
-                    const tileValue = row * gridSize + col + 1;
-                    const maxTiles = gridSize * gridSize;
-                    gridData[row][col] = tileValue <= maxTiles - 1 ? tileValue : 0;
-
-                    if (gridData[row][col] !== 0) {
-                        this.createTile(scene, row, col, gridData[row][col]);
-                    }
+            const ids = IngredientRegistry.getAll().map(ingredient => ingredient.id);
+            sequence = Array.from({ length: gridSize * gridSize - 1 }, (_, index) => ids[index % ids.length]);
+        }
+        scene.board = PuzzleBoard.create(gridSize, sequence);
+        scene.history = MoveHistory.create();
+        
+        for (let row = 0; row < gridSize; row++) {
+            for (let col = 0; col < gridSize; col++) {
+                const value = scene.board.grid[row][col];
+                if (value !== PuzzleBoard.EMPTY) {
+                    this.createTile(scene, row, col, value);
                 }
             }
-            emptyPos = { row: gridSize - 1, col: gridSize - 1 };
         }
         
         // Reset game state
-        moveCount = 0;
         isWon = false;
         hasFailed = false;
+        hintsUsed = 0;
+    },
+    
+    /**
+     * Fit the grid into the play area for any grid size
+     * Writes TILE_SIZE, TILE_SPACING and GRID_OFFSET_X/Y to GAME_CONFIG
+     * (3x3 keeps the Phase 1.6 120px tiles with 10px spacing)
+     * @param {number} gridSize - Size of grid
+     */
+    applyLayout: function(gridSize) {
+        const areaSize = Math.min(GAME_CONFIG.GRID_AREA_MAX_SIZE, GAME_CONFIG.CANVAS_WIDTH - GAME_CONFIG.GRID_AREA_MARGIN * 2);
+        const spacing = Math.max(4, Math.round(GAME_CONFIG.BASE_TILE_SPACING * 3 / gridSize));
+        const tileSize = Math.floor((areaSize - spacing * (gridSize - 1)) / gridSize);
+        const usedSize = tileSize * gridSize + spacing * (gridSize - 1);
+        
+        GAME_CONFIG.TILE_SIZE = tileSize;
+        GAME_CONFIG.TILE_SPACING = spacing;
+        GAME_CONFIG.GRID_OFFSET_X = Math.round((GAME_CONFIG.CANVAS_WIDTH - usedSize) / 2);
+        GAME_CONFIG.GRID_OFFSET_Y = GAME_CONFIG.GRID_AREA_TOP + Math.round((areaSize - usedSize) / 2);
+    },
+    
+    /**
+     * Get the screen position of a cell's center
+     * @returns {object} { x, y }
+     */
+    getCellPosition: function(row, col) {
+        return {
+            x: GAME_CONFIG.GRID_OFFSET_X + col * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2,
+            y: GAME_CONFIG.GRID_OFFSET_Y + row * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2
+        };
     },
     
     /**
      * Creates a single tile
+     * Name, color and optional sprite come from the scene's tile source
+     * (IngredientRegistry unless createGrid was given another); the corner
+     * number is the ingredient's (first) position in the recipe order.
      */
     createTile: function(scene, row, col, value) {
-        const x = GAME_CONFIG.GRID_OFFSET_X + col * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
-        const y = GAME_CONFIG.GRID_OFFSET_Y + row * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
+        const tileSource = scene.tileSource || IngredientRegistry;
+        const ingredient = tileSource.get(value) || { name: String(value), color: 0x999999, sprite: null };
+        const color = AccessibilitySettings.getTileColor(value, ingredient.color);
+        const ink = AccessibilitySettings.get('palette') === 'default' ? '#000' : AccessibilitySettings.getTextColor(color);
+        const orderNumber = scene.board.target.indexOf(value) + 1;
+        const { x, y } = this.getCellPosition(row, col);
+
+        // Text scales with tile size (120px tiles = 1.0)
+        const scale = GAME_CONFIG.TILE_SIZE / 120;
+        const inset = Math.round(8 * scale);
 
         const tileContainer = scene.add.container(x, y);
-        const bg = scene.add.rectangle(0, 0, GAME_CONFIG.TILE_SIZE, GAME_CONFIG.TILE_SIZE, TILE_COLORS[value], 1);
+        const bg = scene.add.rectangle(0, 0, GAME_CONFIG.TILE_SIZE, GAME_CONFIG.TILE_SIZE, color, 1);
         bg.setStrokeStyle(4, 0x000000);
+        tileContainer.add(bg);
+        
+        // Pattern so tiles never differ by color alone (accessibility setting)
+        if (AccessibilitySettings.get('patterns')) {
+            AccessibilitySettings.drawPattern(scene, tileContainer, AccessibilitySettings.getPattern(value), GAME_CONFIG.TILE_SIZE, ink);
+        }
 
-        const label = scene.add.text(0, 0, INGREDIENTS[value - 1], {
-            fontSize: '16px',
+        // Sprite art sits behind the label when its texture has been loaded
+        if (ingredient.sprite && scene.textures.exists(ingredient.sprite)) {
+            const sprite = scene.add.image(0, 0, ingredient.sprite);
+            sprite.setDisplaySize(GAME_CONFIG.TILE_SIZE * 0.7, GAME_CONFIG.TILE_SIZE * 0.7);
+            tileContainer.add(sprite);
+        }
+
+        const label = scene.add.text(0, 0, ingredient.name, {
+            fontSize: AccessibilitySettings.fontSize(Math.max(10, Math.round(16 * scale))),
             fontWeight: 'bold',
-            fill: '#000',
+            fill: ink,
             align: 'center',
-            wordWrap: { width: GAME_CONFIG.TILE_SIZE - 10 }
+            wordWrap: { width: GAME_CONFIG.TILE_SIZE - Math.round(10 * scale) }
         }).setOrigin(0.5);
 
-        const posNum = scene.add.text(-GAME_CONFIG.TILE_SIZE / 2 + 8, -GAME_CONFIG.TILE_SIZE / 2 + 8, value.toString(), {
-            fontSize: '14px',
-            fill: '#FFF',
-            stroke: '#000',
-            strokeThickness: 2
-        });
-
-        tileContainer.add([bg, label, posNum]);
+        tileContainer.add(label);
+        
+        if (scene.showTileOrder !== false) {
+            const posNum = scene.add.text(-GAME_CONFIG.TILE_SIZE / 2 + inset, -GAME_CONFIG.TILE_SIZE / 2 + inset, orderNumber.toString(), {
+                fontSize: AccessibilitySettings.fontSize(Math.max(9, Math.round(14 * scale))),
+                fill: '#FFF',
+                stroke: '#000',
+                strokeThickness: 2
+            });
+            tileContainer.add(posNum);
+        }
 
         const tileData = {
             container: tileContainer,
             id: value,
-            label: INGREDIENTS[value - 1],
+            label: ingredient.name,
             currentRow: row,
             currentCol: col,
             background: bg
         };
 
-        bg.setInteractive({ useHandCursor: true });
-        bg.on('pointerdown', () => this.onTileClick(tileData, scene));
+        if (scene.tilesInteractive !== false) {
+            bg.setInteractive({ useHandCursor: true });
+            bg.on('pointerdown', pointer => this.onTileClick(tileData, scene, pointer));
 
-        bg.on('pointerover', () => {
-            if (!isAnimating && !isShuffling && this.canTileMove(tileData)) {
-                bg.setScale(1.05);
-            }
-        });
-        bg.on('pointerout', () => {
-            bg.setScale(1);
-        });
+            bg.on('pointerover', () => {
+                if (!isAnimating && !isShuffling && this.canTileMove(tileData, scene)) {
+                    bg.setScale(1.05);
+                }
+            });
+            bg.on('pointerout', () => {
+                bg.setScale(1);
+            });
+        }
 
-        tiles.push(tileData);
+        scene.tiles.push(tileData);
+    },
+    
+    /**
+     * Replace the tile at a cell with a new value (board and view)
+     * @param {string} value - New tile id
+     */
+    replaceTile: function(scene, row, col, value) {
+        const old = this.getTileAt(scene, row, col);
+        if (old) {
+            old.container.destroy();
+            scene.tiles.splice(scene.tiles.indexOf(old), 1);
+        }
+        
+        scene.board.grid[row][col] = value;
+        if (value !== PuzzleBoard.EMPTY) {
+            this.createTile(scene, row, col, value);
+        }
+    },
+    
+    /**
+     * Find the tile rendered at a board cell
+     * @returns {object|null} Tile data or null for holes
+     */
+    getTileAt: function(scene, row, col) {
+        return scene.tiles.find(tile => tile.currentRow === row && tile.currentCol === col) || null;
+    },
+    
+    /**
+     * Snap every tile to the cell the board says it occupies
+     * Tiles with the same id are interchangeable, so they are matched in reading order
+     */
+    syncTilesToBoard: function(scene) {
+        const unplaced = [...scene.tiles];
+        
+        scene.board.grid.forEach((rowData, row) => {
+            rowData.forEach((value, col) => {
+                if (value === PuzzleBoard.EMPTY) return;
+                
+                const index = unplaced.findIndex(tile => tile.id === value);
+                if (index === -1) return;
+                
+                const tile = unplaced.splice(index, 1)[0];
+                tile.currentRow = row;
+                tile.currentCol = col;
+                
+                const { x, y } = this.getCellPosition(row, col);
+                tile.container.setPosition(x, y);
+            });
+        });
     },
     
     /**
      * Handle tile click
+     * @param {object} pointer - Phaser pointer; picks the hole when the tile has several
      */
-    onTileClick: function(tile, scene) {
+    onTileClick: function(tile, scene, pointer = null) {
         if (isAnimating || isShuffling || isWon || hasFailed) return;
-        if (!this.canTileMove(tile)) return;
-        this.moveTile(tile, scene, true);
+        
+        // Tiles further along a row/column shift the whole line toward the hole
+        if (!this.canTileMove(tile, scene)) {
+            const moves = GAME_CONFIG.ROW_SLIDES ? PuzzleBoard.getLineSlide(scene.board, tile.currentRow, tile.currentCol) : null;
+            if (moves) {
+                scene.hintMove = null;
+                this.slideLine(scene, moves);
+            }
+            return;
+        }
+        
+        // A hinted tile next to several holes slides the way the hint said,
+        // otherwise toward the side of the tile that was pressed
+        const hint = scene.hintMove;
+        const hinted = hint && hint.row === tile.currentRow && hint.col === tile.currentCol;
+        const to = hinted ? hint.to : this.getPressedHole(tile, scene, pointer);
+        scene.hintMove = null;
+        
+        this.moveTile(tile, scene, true, null, to);
+    },
+    
+    /**
+     * Choose the adjacent hole on the side of the tile the pointer pressed
+     * @returns {object|null} Hole { row, col }, or null to take the first adjacent hole
+     */
+    getPressedHole: function(tile, scene, pointer) {
+        const holes = PuzzleBoard.getAdjacentHoles(scene.board, tile.currentRow, tile.currentCol);
+        if (holes.length < 2 || !pointer) return null;
+        
+        const center = this.getCellPosition(tile.currentRow, tile.currentCol);
+        const dx = pointer.x - center.x;
+        const dy = pointer.y - center.y;
+        
+        // The hole whose direction best matches the press; a dead-center press keeps the first
+        let best = null;
+        let bestScore = 0;
+        holes.forEach(hole => {
+            const score = (hole.col - tile.currentCol) * dx + (hole.row - tile.currentRow) * dy;
+            if (score > bestScore) {
+                best = hole;
+                bestScore = score;
+            }
+        });
+        return best;
     },
     
     /**
      * Check if tile can move
      */
-    canTileMove: function(tile) {
-        const rowDiff = Math.abs(tile.currentRow - emptyPos.row);
-        const colDiff = Math.abs(tile.currentCol - emptyPos.col);
-        return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+    canTileMove: function(tile, scene) {
+        return PuzzleBoard.canMove(scene.board, tile.currentRow, tile.currentCol);
     },
     
     /**
-     * Move tile
+     * Move tile (board update first, then the slide animation)
+     * Player moves are counted and recorded in scene.history for undo/redo
+     * and in the scene's replay.
+     * @param {object} to - Destination hole { row, col }; omitted = first adjacent hole
+     * @param {number} slideDuration - Animation time; omitted = player or shuffle speed
      */
-    moveTile: function(tile, scene, isPlayerMove = false, onComplete = null) {
+    moveTile: function(tile, scene, isPlayerMove = false, onComplete = null, to = null, slideDuration = null) {
+        const move = PuzzleBoard.applyMove(scene.board, tile.currentRow, tile.currentCol, isPlayerMove, to);
+        if (!move) return;
+        
+        if (isPlayerMove && scene.history) {
+            MoveHistory.record(scene.history, move);
+        }
+        if (isPlayerMove) {
+            ReplaySystem.record(scene, move);
+        }
+        
         isAnimating = true;
 
-        const targetX = GAME_CONFIG.GRID_OFFSET_X + emptyPos.col * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
-        const targetY = GAME_CONFIG.GRID_OFFSET_Y + emptyPos.row * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
-
-        gridData[tile.currentRow][tile.currentCol] = 0;
-        gridData[emptyPos.row][emptyPos.col] = tile.id;
+        tile.currentRow = move.to.row;
+        tile.currentCol = move.to.col;
+        const target = this.getCellPosition(move.to.row, move.to.col);
 
-        const oldRow = tile.currentRow;
-        const oldCol = tile.currentCol;
-
-        tile.currentRow = emptyPos.row;
-        tile.currentCol = emptyPos.col;
-        emptyPos = { row: oldRow, col: oldCol };
-
-        const duration = isPlayerMove ? GAME_CONFIG.TILE_SLIDE_DURATION : GAME_CONFIG.SHUFFLE_MOVE_DURATION;
+        const duration = slideDuration || (isPlayerMove ? GAME_CONFIG.TILE_SLIDE_DURATION : GAME_CONFIG.SHUFFLE_MOVE_DURATION);
 
         scene.tweens.add({
             targets: tile.container,
-            x: targetX,
-            y: targetY,
+            x: target.x,
+            y: target.y,
             duration: duration,
             ease: 'Power2',
             onComplete: () => {
                 isAnimating = false;
                 
-                if (isPlayerMove) {
-                    moveCount++;
-                    scene.moveText.setText(`Moves: ${moveCount} / ${GAME_CONFIG.MAX_MOVES}`);
-
-                    if (moveCount >= GAME_CONFIG.MAX_MOVES && !isWon) {
-                        triggerFailState(scene);
-                        return;
-                    }
-
-                    this.checkWinCondition(scene);
-                }
+                if (isPlayerMove && !this.afterPlayerMove(scene, [move])) return;
 
                 if (onComplete) onComplete();
             }
         });
     },
     
+    /**
+     * Shift a line of tiles at once (PuzzleBoard.getLineSlide moves)
+     * ROW_SLIDE_COUNT decides whether each tile is a move or the slide is one.
+     * The slide is one MoveHistory entry (undone in one step); every tile is
+     * still its own replay entry.
+     * @param {array} moves - Moves in play order (tile next to the hole first)
+     */
+    slideLine: function(scene, moves) {
+        const countEach = GAME_CONFIG.ROW_SLIDE_COUNT === 'tiles';
+        const applied = [];
+        
+        moves.forEach((step, index) => {
+            const tile = this.getTileAt(scene, step.row, step.col);
+            const counted = countEach || index === 0;
+            const move = PuzzleBoard.applyMove(scene.board, step.row, step.col, counted, step.to);
+            if (!tile || !move) return;
+            
+            ReplaySystem.record(scene, move);
+            
+            tile.currentRow = move.to.row;
+            tile.currentCol = move.to.col;
+            applied.push({ tile, move });
+        });
+        if (applied.length === 0) return;
+        
+        if (scene.history) {
+            MoveHistory.record(scene.history, applied.map(entry => entry.move), countEach ? applied.length : 1);
+        }
+        
+        isAnimating = true;
+        applied.forEach(({ tile, move }, index) => {
+            const target = this.getCellPosition(move.to.row, move.to.col);
+            
+            scene.tweens.add({
+                targets: tile.container,
+                x: target.x,
+                y: target.y,
+                duration: GAME_CONFIG.TILE_SLIDE_DURATION,
+                ease: 'Power2',
+                onComplete: () => {
+                    if (index < applied.length - 1) return;
+                    
+                    isAnimating = false;
+                    this.afterPlayerMove(scene, applied.map(entry => entry.move));
+                }
+            });
+        });
+    },
+    
+    /**
+     * Slide tiles together without counting or recording them (undo/redo steps)
+     * @param {array} moves - { row, col, to } in the order to apply them
+     * @param {function} onComplete - Called once every tile has arrived
+     */
+    playMoves: function(scene, moves, onComplete) {
+        const applied = [];
+        moves.forEach(step => {
+            const tile = this.getTileAt(scene, step.row, step.col);
+            const move = PuzzleBoard.applyMove(scene.board, step.row, step.col, false, step.to);
+            if (!tile || !move) return;
+            
+            tile.currentRow = move.to.row;
+            tile.currentCol = move.to.col;
+            applied.push({ tile, move });
+        });
+        if (applied.length === 0) {
+            onComplete();
+            return;
+        }
+        
+        isAnimating = true;
+        applied.forEach(({ tile, move }, index) => {
+            const target = this.getCellPosition(move.to.row, move.to.col);
+            
+            scene.tweens.add({
+                targets: tile.container,
+                x: target.x,
+                y: target.y,
+                duration: GAME_CONFIG.TILE_SLIDE_DURATION,
+                ease: 'Power2',
+                onComplete: () => {
+                    if (index < applied.length - 1) return;
+                    
+                    isAnimating = false;
+                    onComplete();
+                }
+            });
+        });
+    },
+    
+    /**
+     * Events and rules once a player's slide (one or more tiles) has animated
+     * Scenes with their own rules (combat) take over through scene.onPlayerMove,
+     * called once per slide with its last move.
+     * @returns {boolean} False if the puzzle just failed
+     */
+    afterPlayerMove: function(scene, moves) {
+        moves.forEach(move => {
+            GameEvents.emit(GameEvents.EVENTS.TILE_MOVED, {
+                tileId: move.tileId,
+                from: move.from,
+                to: move.to,
+                moveCount: scene.board.moveCount
+            });
+        });
+        
+        if (scene.onPlayerMove) {
+            scene.onPlayerMove(moves[moves.length - 1]);
+            return true;
+        }
+        
+        return this.afterCountedMove(scene);
+    },
+    
+    /**
+     * Move counter, move limit and win check after a counted move (player move, undo or redo)
+     * Reaching MAX_MOVES fails before the win check (in modes with a move limit).
+     * @returns {boolean} False if the puzzle just failed
+     */
+    afterCountedMove: function(scene) {
+        updateMoveText(scene);
+        
+        if (GameModes.hasMoveLimit(scene) && scene.board.moveCount >= GAME_CONFIG.MAX_MOVES && !isWon) {
+            triggerFailState(scene);
+            return false;
+        }
+        
+        this.checkWinCondition(scene);
+        return true;
+    },
+    
     /**
      * Check win condition
      */
     checkWinCondition: function(scene) {
-        if (GAME_CONFIG.RECIPE_MODE && GameState.currentRecipe) {
-            const flatGrid = gridData.flat();
-            const targetSequence = GameState.currentRecipe.sequence;
-            
-            const solved = targetSequence.every((targetId, index) => {
-                return flatGrid[index] === targetId;
-            });
-            
-            if (solved) {
-                onPuzzleSolved(scene);
-            }
-        } else {
-            // Legacy mode
-            const gridSize = GAME_CONFIG.GRID_SIZE;
-            
-            for (let row = 0; row < gridSize; row++) {
-                for (let col = 0; col < gridSize; col++) {
-                    const expectedValue = row * gridSize + col + 1;
-                    const actualValue = gridData[row][col];
-
-                    if (row === gridSize - 1 && col === gridSize - 1) {
-                        if (actualValue !== 0) return;
-                    } else {
-                        if (actualValue !== expectedValue) return;
-                    }
-                }
-            }
-            
+        if (PuzzleBoard.isSolved(scene.board)) {
             onPuzzleSolved(scene);
         }
     }
@@ -876,65 +6000,91 @@ const GridManager = {
  */
 const ShuffleSystem = {
     /**
-     * Perform animated shuffle with no-backtracking
+     * Perform animated shuffle
+     * ScrambleGenerator picks a solvable scramble whose optimal solution length is in
+     * [SCRAMBLE_MIN_DEPTH, SCRAMBLE_MAX_DEPTH]; the animation plays a shortest path to it.
+     * All randomness comes from scene.shuffleRng, seeded by scene.fixedSeed if the scene
+     * has one (Daily Special, DEBUG_PUZZLE_SEED), else by a fresh GameRandom seed.
      */
     performAnimatedShuffle: function(scene) {
         isShuffling = true;
         
-        this.resetGridToSolved();
+        this.resetGridToSolved(scene);
+        
+        // The seed alone rebuilds this scramble (kept in the replay)
+        const fixed = scene.fixedSeed !== null && scene.fixedSeed !== undefined;
+        scene.shuffleSeed = fixed ? scene.fixedSeed >>> 0 : GameRandom.nextSeed();
+        scene.shuffleRng = SeededRandom.create(scene.shuffleSeed);
+        if (scene.debugText) updateDebugText(scene);
         
-        const moves = GAME_CONFIG.SHUFFLE_MOVE_COUNT;
+        const scramble = ScrambleGenerator.generate(scene.board, {
+            minDepth: GAME_CONFIG.SCRAMBLE_MIN_DEPTH,
+            maxDepth: GAME_CONFIG.SCRAMBLE_MAX_DEPTH,
+            fallbackLength: GAME_CONFIG.SHUFFLE_MOVE_COUNT,
+            rng: scene.shuffleRng
+        });
+        
+        // Par is the scramble's true minimum solution length (null if unmeasured)
+        scene.par = scramble.optimalMoves;
+        updateMoveText(scene);
+        
+        if (GAME_CONFIG.DEBUG_MODE) {
+            console.log('[ShuffleSystem] Scramble:', {
+                seed: scene.shuffleSeed,
+                optimalMoves: scramble.optimalMoves,
+                requested: [GAME_CONFIG.SCRAMBLE_MIN_DEPTH, GAME_CONFIG.SCRAMBLE_MAX_DEPTH],
+                ratingThresholds: getRatingThresholds(scene.par)
+            });
+        }
+        
+        const path = scramble.path;
         let currentMove = 0;
-        let lastMovedTile = null;
+        
+        // Reduced motion: tiles jump straight to the scramble
+        if (AccessibilitySettings.isReducedMotion()) {
+            path.forEach(move => PuzzleBoard.applyMove(scene.board, move.row, move.col, false, move.to));
+            GridManager.syncTilesToBoard(scene);
+            this.finishShuffle(scene);
+            return;
+        }
         
         const self = this;
         
         function makeShuffleMove() {
-            if (currentMove >= moves) {
+            if (currentMove >= path.length) {
                 if (GAME_CONFIG.ENABLE_HYBRID_SHUFFLE) {
                     self.performHybridShuffle(scene);
                 } else {
-                    isShuffling = false;
+                    self.finishShuffle(scene);
                 }
                 return;
             }
             
-            let movableTiles = tiles.filter(tile => GridManager.canTileMove(tile));
+            const move = path[currentMove];
+            const tile = GridManager.getTileAt(scene, move.row, move.col);
             
-            if (lastMovedTile && movableTiles.length > 1) {
-                movableTiles = movableTiles.filter(tile => tile.id !== lastMovedTile.id);
-            }
+            const durationVariance = Math.floor(scene.shuffleRng() * 41) - 20;
+            const moveDuration = GAME_CONFIG.SHUFFLE_MOVE_DURATION + durationVariance;
             
-            if (movableTiles.length > 0) {
-                const randomTile = movableTiles[Math.floor(Math.random() * movableTiles.length)];
-                lastMovedTile = randomTile;
-                
-                const durationVariance = Math.floor(Math.random() * 41) - 20;
-                const moveDuration = GAME_CONFIG.SHUFFLE_MOVE_DURATION + durationVariance;
-                
-                if (GAME_CONFIG.ENABLE_SHUFFLE_BOUNCE) {
-                    scene.tweens.add({
-                        targets: randomTile.container,
-                        scaleX: 1.1,
-                        scaleY: 1.1,
-                        duration: moveDuration / 2,
-                        yoyo: true,
-                        ease: 'Sine.easeInOut'
-                    });
-                }
-                
-                const originalDuration = GAME_CONFIG.SHUFFLE_MOVE_DURATION;
-                GAME_CONFIG.SHUFFLE_MOVE_DURATION = moveDuration;
-                
-                GridManager.moveTile(randomTile, scene, false, () => {
-                    GAME_CONFIG.SHUFFLE_MOVE_DURATION = originalDuration;
-                    currentMove++;
-                    makeShuffleMove();
+            if (GAME_CONFIG.ENABLE_SHUFFLE_BOUNCE) {
+                scene.tweens.add({
+                    targets: tile.container,
+                    scaleX: 1.1,
+                    scaleY: 1.1,
+                    duration: moveDuration / 2,
+                    yoyo: true,
+                    ease: 'Sine.easeInOut'
                 });
-            } else {
+            }
+            
+            const originalDuration = GAME_CONFIG.SHUFFLE_MOVE_DURATION;
+            GAME_CONFIG.SHUFFLE_MOVE_DURATION = moveDuration;
+            
+            GridManager.moveTile(tile, scene, false, () => {
+                GAME_CONFIG.SHUFFLE_MOVE_DURATION = originalDuration;
                 currentMove++;
                 makeShuffleMove();
-            }
+            }, move.to);
         }
         
         makeShuffleMove();
@@ -947,18 +6097,20 @@ const ShuffleSystem = {
         const hybridMoves = GAME_CONFIG.HYBRID_SHUFFLE_COUNT;
         let currentHybridMove = 0;
         
+        const self = this;
+        
         function makeHybridMove() {
             if (currentHybridMove >= hybridMoves) {
-                isShuffling = false;
+                self.finishShuffle(scene);
                 return;
             }
             
-            const numTilesToSwap = Math.random() < 0.7 ? 2 : 3;
+            const numTilesToSwap = scene.shuffleRng() < 0.7 ? 2 : 3;
             const tilesToAnimate = [];
             
-            const availableTiles = [...tiles];
+            const availableTiles = [...scene.tiles];
             for (let i = 0; i < numTilesToSwap && availableTiles.length > 0; i++) {
-                const randomIndex = Math.floor(Math.random() * availableTiles.length);
+                const randomIndex = Math.floor(scene.shuffleRng() * availableTiles.length);
                 tilesToAnimate.push(availableTiles[randomIndex]);
                 availableTiles.splice(randomIndex, 1);
             }
@@ -978,7 +6130,7 @@ const ShuffleSystem = {
                 targetPositions[2] = temp;
             }
             
-            const delay = Math.floor(Math.random() * 80);
+            const delay = Math.floor(scene.shuffleRng() * 80);
             
             scene.time.delayedCall(delay, () => {
                 tilesToAnimate.forEach((tile, index) => {
@@ -998,13 +6150,12 @@ const ShuffleSystem = {
                         duration: GAME_CONFIG.HYBRID_SWAP_DURATION,
                         ease: 'Power2',
                         onComplete: () => {
-                            const realX = GAME_CONFIG.GRID_OFFSET_X + tile.currentCol * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
-                            const realY = GAME_CONFIG.GRID_OFFSET_Y + tile.currentRow * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
+                            const realPos = GridManager.getCellPosition(tile.currentRow, tile.currentCol);
                             
                             scene.tweens.add({
                                 targets: tile.container,
-                                x: realX,
-                                y: realY,
+                                x: realPos.x,
+                                y: realPos.y,
                                 duration: GAME_CONFIG.HYBRID_SWAP_DURATION * 0.6,
                                 ease: 'Back.easeOut'
                             });
@@ -1023,68 +6174,31 @@ const ShuffleSystem = {
     },
     
     /**
-     * Reset grid to solved state
+     * Hand control to the player once the shuffle animation is done
      */
-    resetGridToSolved: function() {
-        const gridSize = GAME_CONFIG.GRID_SIZE;
+    finishShuffle: function(scene) {
+        isShuffling = false;
         
-        if (GAME_CONFIG.RECIPE_MODE && GameState.currentRecipe) {
-            const recipeSequence = GameState.currentRecipe.sequence;
-            let sequenceIndex = 0;
-            
-            for (let row = 0; row < gridSize; row++) {
-                for (let col = 0; col < gridSize; col++) {
-                    const cellIndex = row * gridSize + col;
-                    
-                    if (cellIndex < recipeSequence.length) {
-                        gridData[row][col] = recipeSequence[sequenceIndex];
-                        sequenceIndex++;
-                    } else {
-                        gridData[row][col] = 0;
-                    }
-                }
-            }
-            
-            for (let row = gridSize - 1; row >= 0; row--) {
-                for (let col = gridSize - 1; col >= 0; col--) {
-                    if (gridData[row][col] === 0) {
-                        emptyPos = { row, col };
-                        break;
-                    }
-                }
-            }
-        } else {
-            for (let row = 0; row < gridSize; row++) {
-                for (let col = 0; col < gridSize; col++) {
-                    const value = row * gridSize + col + 1;
-                    gridData[row][col] = value <= gridSize * gridSize - 1 ? value : 0;
-                }
-            }
-            emptyPos = { row: gridSize - 1, col: gridSize - 1 };
-        }
+        // Undo history starts with the puzzle (shuffle moves are never undoable)
+        scene.history = MoveHistory.create();
+        if (scene.undoText) updateUndoButtons(scene);
         
-        tiles.forEach(tile => {
-            let targetRow = -1, targetCol = -1;
-            
-            for (let row = 0; row < gridSize; row++) {
-                for (let col = 0; col < gridSize; col++) {
-                    if (gridData[row][col] === tile.id) {
-                        targetRow = row;
-                        targetCol = col;
-                        break;
-                    }
-                }
-            }
-            
-            if (targetRow !== -1) {
-                tile.currentRow = targetRow;
-                tile.currentCol = targetCol;
-                
-                const x = GAME_CONFIG.GRID_OFFSET_X + targetCol * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
-                const y = GAME_CONFIG.GRID_OFFSET_Y + targetRow * (GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SPACING) + GAME_CONFIG.TILE_SIZE / 2;
-                tile.container.setPosition(x, y);
-            }
+        ReplaySystem.start(scene);
+        
+        GameEvents.emit(GameEvents.EVENTS.PUZZLE_START, {
+            recipe: GameState.currentRecipe,
+            board: scene.board,
+            par: scene.par,
+            maxMoves: GameModes.hasMoveLimit(scene) ? GAME_CONFIG.MAX_MOVES : null
         });
+    },
+    
+    /**
+     * Reset grid to solved state
+     */
+    resetGridToSolved: function(scene) {
+        PuzzleBoard.reset(scene.board);
+        GridManager.syncTilesToBoard(scene);
     }
 };
 
@@ -1092,14 +6206,58 @@ const ShuffleSystem = {
 // WIN/FAIL HANDLING
 // =============================================================================
 
-function calculateRating() {
-    const optimal = GAME_CONFIG.OPTIMAL_MOVES;
+/**
+ * Star thresholds for the current scramble
+ * With a known par (true minimum solution length) thresholds scale from it;
+ * the recipe's optimalMoves caps the 3-star threshold (never below par) and
+ * maxMoves caps everything, since reaching MAX_MOVES fails the recipe.
+ * Without a par the Phase 1.6 optimalMoves thresholds are used.
+ * 
+ * @param {number|null} par - Minimum moves to solve the scramble
+ * @returns {object} { threeStars, twoStars, oneStar } max moves for each rating
+ */
+function getRatingThresholds(par) {
+    const cap = GAME_CONFIG.MAX_MOVES - 1;
+    let thresholds;
+    
+    if (par) {
+        const multipliers = GAME_CONFIG.PAR_RATING_MULTIPLIERS;
+        thresholds = {
+            threeStars: Math.max(par, Math.min(Math.ceil(par * multipliers.threeStars), GAME_CONFIG.OPTIMAL_MOVES)),
+            twoStars: Math.ceil(par * multipliers.twoStars),
+            oneStar: Math.ceil(par * multipliers.oneStar)
+        };
+    } else {
+        const optimal = GAME_CONFIG.OPTIMAL_MOVES;
+        thresholds = {
+            threeStars: optimal,
+            twoStars: Math.floor(optimal * 1.5),
+            oneStar: optimal * 2
+        };
+    }
+    
+    return {
+        threeStars: Math.min(thresholds.threeStars, cap),
+        twoStars: Math.min(thresholds.twoStars, cap),
+        oneStar: Math.min(thresholds.oneStar, cap)
+    };
+}
+
+/**
+ * Star count for a rating string (💀 = 0)
+ */
+function getRatingStars(rating) {
+    return (rating.match(/⭐/g) || []).length;
+}
+
+function calculateRating(moveCount, par) {
+    const thresholds = getRatingThresholds(par);
     
-    if (moveCount <= optimal) {
+    if (moveCount <= thresholds.threeStars) {
         return '⭐⭐⭐';
-    } else if (moveCount <= optimal * 1.5) {
+    } else if (moveCount <= thresholds.twoStars) {
         return '⭐⭐';
-    } else if (moveCount <= optimal * 2) {
+    } else if (moveCount <= thresholds.oneStar) {
         return '⭐';
     } else {
         return '💀';
@@ -1109,14 +6267,18 @@ function calculateRating() {
 function onPuzzleSolved(scene) {
     isWon = true;
 
-    const rating = calculateRating();
+    const moveCount = scene.board.moveCount;
+    const rating = GameModes.calculateRating(scene);
     scene.ratingText.setText(rating);
     scene.ratingText.setVisible(true);
 
     // Phase 1.6: Fire completion event hook
-    onPuzzleComplete(GameState.currentRecipe, moveCount, rating);
+    onPuzzleComplete(GameState.currentRecipe, moveCount, rating, { hintsUsed, par: scene.par, counter: !!scene.counterOrder });
 
+    scene.hintText.setVisible(false);
     scene.winText.setVisible(true);
+    if (AccessibilitySettings.isReducedMotion()) return;
+    
     scene.winText.setScale(0);
     scene.tweens.add({
         targets: scene.winText,
@@ -1150,7 +6312,7 @@ function onPuzzleSolved(scene) {
         }
     });
 
-    tiles.forEach((tile, index) => {
+    scene.tiles.forEach((tile, index) => {
         scene.tweens.add({
             targets: tile.background,
             alpha: 0.5,
@@ -1166,9 +6328,14 @@ function triggerFailState(scene) {
     hasFailed = true;
     
     // Phase 1.6: Fire failure event hook
-    onPuzzleFail();
+    onPuzzleFail(GameState.currentRecipe, scene.board.moveCount);
     
     scene.failText.setVisible(true);
+    if (AccessibilitySettings.isReducedMotion()) {
+        scene.tiles.forEach(tile => tile.background.setAlpha(0.6));
+        return;
+    }
+    
     scene.failText.setScale(0);
     scene.tweens.add({
         targets: scene.failText,
@@ -1177,17 +6344,364 @@ function triggerFailState(scene) {
         ease: 'Back.easeOut'
     });
     
-    tiles.forEach(tile => {
+    scene.tiles.forEach(tile => {
         scene.tweens.add({
             targets: tile.background,
             alpha: 0.6,
             duration: 300
         });
     });
+}
+
+// =============================================================================
+// HINT SYSTEM
+// =============================================================================
+
+function createHintButton(scene) {
+    const button = scene.add.rectangle(305, 665, 150, 40, 0x4A90D9);
+    button.setStrokeStyle(3, 0x000000);
+    button.setInteractive({ useHandCursor: true });
+
+    scene.hintLabel = scene.add.text(305, 665, '', {
+        fontSize: '20px',
+        fontWeight: 'bold',
+        fill: '#FFF'
+    }).setOrigin(0.5);
+    updateHintLabel(scene);
+
+    // Feedback line for hint results (hidden initially)
+    scene.hintText = scene.add.text(225, 578, '', {
+        fontSize: AccessibilitySettings.fontSize(14),
+        fill: '#FFF',
+        stroke: '#000',
+        strokeThickness: 3
+    }).setOrigin(0.5).setVisible(false);
+
+    button.on('pointerover', () => {
+        if (!isShuffling) button.setFillStyle(0x357ABD);
+    });
+    button.on('pointerout', () => button.setFillStyle(0x4A90D9));
+
+    button.on('pointerdown', () => {
+        if (!isAnimating && !isShuffling && !isWon && !hasFailed) {
+            requestHint(scene);
+        }
+    });
+}
+
+/**
+ * Hint button text: tokens held, else the gold cost
+ */
+function updateHintLabel(scene) {
+    const tokens = InventorySystem.getCount('hint_token');
+    const cost = GAME_CONFIG.HINT_GOLD_COST;
+    scene.hintLabel.setText(tokens > 0 ? `HINT (${tokens}🎟)` : (cost > 0 ? `HINT (${cost}g)` : 'HINT'));
+}
+
+/**
+ * Solve from the current board and highlight the next best tile
+ * The search is limited to the moves left before MAX_MOVES fails the recipe and
+ * to HINT_NODE_LIMIT nodes (it runs in the click handler, so it must stay short);
+ * gold is only charged when a hint is actually shown.
+ * A held hint token is spent instead of gold.
+ */
+function requestHint(scene) {
+    // A hint token pays for the hint instead of gold
+    const useToken = InventorySystem.getCount('hint_token') > 0;
+    const cost = useToken ? 0 : GAME_CONFIG.HINT_GOLD_COST;
+    if (cost > 0 && GameState.gold < cost) {
+        showHintMessage(scene, `Not enough gold (${cost}g needed)`);
+        return;
+    }
+    
+    // Reaching MAX_MOVES fails before the win check, so the last move must come earlier
+    const movesLeft = GAME_CONFIG.MAX_MOVES - scene.board.moveCount - 1;
+    const search = PuzzleSolver.findSolution(scene.board, {
+        maxDepth: GameModes.hasMoveLimit(scene) ? movesLeft : undefined,
+        nodeLimit: GAME_CONFIG.HINT_NODE_LIMIT
+    });
+    
+    // Nothing is charged when no hint comes back
+    if (search.reason === 'nodeLimit') {
+        showHintMessage(scene, 'Too tangled to find a hint here, try a few moves first');
+        return;
+    }
+    if (!search.moves || search.moves.length === 0) {
+        showHintMessage(scene, 'No solution within your move limit!');
+        return;
+    }
+    const nextMove = search.moves[0];
+    
+    const tile = GridManager.getTileAt(scene, nextMove.row, nextMove.col);
+    if (!tile) return;
+    
+    if (useToken) {
+        InventorySystem.remove('hint_token');
+    }
+    GameState.gold -= cost;
+    hintsUsed++;
+    scene.hintMove = nextMove;
+    updateHintLabel(scene);
+    
+    const arrow = getMoveArrow(nextMove);
+    const paid = useToken ? ' (-1🎟)' : (cost > 0 ? ` (-${cost}g)` : '');
+    showHintMessage(scene, `Hint: slide ${tile.label} ${arrow}${paid}`);
+    
+    // Pulse a bright outline on the suggested tile (held still under reduced motion)
+    tile.background.setStrokeStyle(6, 0x00FFFF);
+    if (AccessibilitySettings.isReducedMotion()) {
+        scene.time.delayedCall(GAME_CONFIG.HINT_HIGHLIGHT_DURATION, () => tile.background.setStrokeStyle(4, 0x000000));
+    } else {
+        scene.tweens.add({
+            targets: tile.container,
+            scaleX: 1.1,
+            scaleY: 1.1,
+            duration: GAME_CONFIG.HINT_HIGHLIGHT_DURATION / 6,
+            yoyo: true,
+            repeat: 2,
+            ease: 'Sine.easeInOut',
+            onComplete: () => tile.background.setStrokeStyle(4, 0x000000)
+        });
+    }
+    
+    if (GAME_CONFIG.DEBUG_MODE) {
+        console.log('[Hint]', { tile: tile.label, cell: nextMove, hintsUsed: hintsUsed, gold: GameState.gold });
+    }
+}
+
+/**
+ * Arrow for the direction a move slides its tile
+ * @param {object} move - { row, col, to }
+ * @returns {string} One of ↑ ↓ ← →
+ */
+function getMoveArrow(move) {
+    if (move.to.row < move.row) return '↑';
+    if (move.to.row > move.row) return '↓';
+    return move.to.col < move.col ? '←' : '→';
+}
+
+function showHintMessage(scene, message) {
+    scene.hintText.setText(message);
+    scene.hintText.setVisible(true);
+    scene.time.delayedCall(GAME_CONFIG.HINT_HIGHLIGHT_DURATION * 2, () => {
+        if (scene.hintText.text === message) {
+            scene.hintText.setVisible(false);
+        }
+    });
+}
+
+// =============================================================================
+// PUZZLE INPUT (KEYBOARD, SWIPE, GAMEPAD)
+// =============================================================================
+
+// Direction name -> [dRow, dCol] a tile slides
+const SLIDE_DIRECTIONS = {
+    up: [-1, 0],
+    down: [1, 0],
+    left: [0, -1],
+    right: [0, 1]
+};
+
+/**
+ * Arrow keys/WASD, swipes and the gamepad d-pad slide tiles on a puzzle scene
+ * (clicks stay on the tiles, see GridManager.createTile)
+ */
+function setupPuzzleInput(scene) {
+    const keyDirections = {};
+    Object.keys(GAME_CONFIG.INPUT_KEYS).forEach(direction => {
+        GAME_CONFIG.INPUT_KEYS[direction].forEach(code => { keyDirections[code] = direction; });
+    });
+    
+    if (scene.input.keyboard) {
+        scene.input.keyboard.on('keydown', event => {
+            const direction = keyDirections[event.code];
+            if (!direction) return;
+            
+            if (event.preventDefault) event.preventDefault();
+            slideInDirection(scene, direction);
+        });
+    }
+    
+    // A press that already moved a tile (tile click) is not a swipe
+    scene.input.on('pointerdown', () => {
+        scene.swipeStartMoves = isAnimating ? null : scene.board.moveCount;
+    });
+    scene.input.on('pointerup', pointer => {
+        const startMoves = scene.swipeStartMoves;
+        scene.swipeStartMoves = null;
+        if (startMoves === null || startMoves === undefined || startMoves !== scene.board.moveCount) return;
+        
+        const dx = pointer.x - pointer.downX;
+        const dy = pointer.y - pointer.downY;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < GAME_CONFIG.SWIPE_MIN_DISTANCE) return;
+        
+        if (Math.abs(dx) > Math.abs(dy)) {
+            slideInDirection(scene, dx > 0 ? 'right' : 'left');
+        } else {
+            slideInDirection(scene, dy > 0 ? 'down' : 'up');
+        }
+    });
+    
+    if (scene.input.gamepad) {
+        scene.input.gamepad.on('down', (pad, button) => {
+            const direction = GAME_CONFIG.GAMEPAD_DPAD_BUTTONS[button.index];
+            if (direction) slideInDirection(scene, direction);
+        });
+    }
+}
+
+/**
+ * Slide the tile that can move in a direction (a counted player move)
+ * INPUT_MOVES_HOLE flips directions so input steers the hole instead.
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ * @returns {boolean} True if a tile moved
+ */
+function slideInDirection(scene, direction) {
+    if (isAnimating || isShuffling || isWon || hasFailed) return false;
+    
+    const [dRow, dCol] = SLIDE_DIRECTIONS[direction];
+    const flip = GAME_CONFIG.INPUT_MOVES_HOLE ? -1 : 1;
+    const move = PuzzleBoard.getMoveInDirection(scene.board, dRow * flip, dCol * flip);
+    if (!move) return false;
+    
+    scene.hintMove = null;
+    GridManager.moveTile(GridManager.getTileAt(scene, move.row, move.col), scene, true, null, move.to);
+    return true;
+}
+
+// =============================================================================
+// UNDO / REDO
+// =============================================================================
+
+/**
+ * How undo is paid for on a recipe
+ * @returns {string} 'free', 'move' (the undo counts as a move) or 'charge' (uses an Undo Charge)
+ */
+function getUndoMode(recipe) {
+    if (recipe && GAME_CONFIG.UNDO_FREE_DIFFICULTIES.includes(recipe.difficulty)) return 'free';
+    return GAME_CONFIG.UNDO_COST;
+}
+
+/**
+ * Undo/redo links left of the move counter
+ */
+function createUndoButtons(scene) {
+    const style = { fontSize: '14px', fontWeight: 'bold', fill: '#FFF' };
+    
+    scene.undoText = scene.add.text(10, 145, '', style).setOrigin(0, 0.5).setInteractive({ useHandCursor: true });
+    scene.undoText.on('pointerdown', () => requestUndo(scene));
+    
+    scene.redoText = scene.add.text(10, 165, '', style).setOrigin(0, 0.5).setInteractive({ useHandCursor: true });
+    scene.redoText.on('pointerdown', () => requestRedo(scene));
+    
+    updateUndoButtons(scene);
+}
+
+function updateUndoButtons(scene) {
+    if (!scene.undoText) return;
+    
+    const mode = getUndoMode(GameState.currentRecipe);
+    const charges = InventorySystem.getCount('undo_charge');
+    const cost = { free: '', move: ' (+1 move)', charge: ` (${charges})` }[mode];
+    const canUndo = scene.history && MoveHistory.canUndo(scene.history) && (mode !== 'charge' || charges > 0);
+    const canRedo = scene.history && MoveHistory.canRedo(scene.history);
+    
+    scene.undoText.setText(`↶ UNDO${cost}`).setAlpha(canUndo ? 1 : 0.4);
+    scene.redoText.setText('↷ REDO').setAlpha(canRedo ? 1 : 0.4);
+}
+
+/**
+ * Slide the last move back (animated); a line slide comes back in one step at one cost
+ * Free and charged undos give its moves back; in 'move' mode the undo is itself a move.
+ */
+function requestUndo(scene) {
+    if (isAnimating || isShuffling || isWon || hasFailed) return;
+    if (!MoveHistory.canUndo(scene.history)) return;
+    
+    const mode = getUndoMode(GameState.currentRecipe);
+    if (mode === 'charge') {
+        if (!InventorySystem.remove('undo_charge')) {
+            showHintMessage(scene, 'No undo charges left (the shop sells more)');
+            return;
+        }
+        GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['inventory'], state: GameState });
+    }
+    
+    const step = MoveHistory.undo(scene.history);
+    scene.hintMove = null;
+    step.moves.forEach(move => ReplaySystem.record(scene, move, 'undo'));
+    
+    GridManager.playMoves(scene, step.moves, () => {
+        // Free tiles of a line slide give nothing back (they never cost a move)
+        if (mode === 'move') {
+            scene.board.moveCount++;
+        } else {
+            scene.board.moveCount -= step.counted;
+        }
+        updateUndoButtons(scene);
+        GridManager.afterCountedMove(scene);
+    });
+}
+
+/**
+ * Play the last undone move or line slide again (animated, costs the moves it first cost)
+ */
+function requestRedo(scene) {
+    if (isAnimating || isShuffling || isWon || hasFailed) return;
+    if (!MoveHistory.canRedo(scene.history)) return;
+    
+    const step = MoveHistory.redo(scene.history);
+    scene.hintMove = null;
+    step.moves.forEach(move => ReplaySystem.record(scene, move, 'redo'));
+    
+    GridManager.playMoves(scene, step.moves, () => {
+        scene.board.moveCount += step.counted;
+        updateUndoButtons(scene);
+        GridManager.afterCountedMove(scene);
+    });
+}
+
+// =============================================================================
+// EXTRA MOVES (SHOP CONSUMABLE)
+// =============================================================================
+
+/**
+ * "+MOVES" link next to the move counter, shown while Extra Moves are held
+ * The raised limit lasts for this puzzle only (applyRecipeConfig resets it).
+ */
+function createExtraMovesButton(scene) {
+    scene.extraMovesText = scene.add.text(440, 145, '', {
+        fontSize: '14px',
+        fontWeight: 'bold',
+        fill: '#4ECDC4'
+    }).setOrigin(1, 0.5).setInteractive({ useHandCursor: true });
     
-    scene.time.delayedCall(GAME_CONFIG.FAIL_DISPLAY_DURATION, () => {
-        resetPuzzle(scene);
+    scene.extraMovesText.on('pointerdown', () => {
+        if (!isAnimating && !isShuffling && !isWon && !hasFailed) {
+            useExtraMoves(scene);
+        }
     });
+    updateExtraMovesButton(scene);
+}
+
+function updateExtraMovesButton(scene) {
+    const held = InventorySystem.getCount('extra_moves');
+    scene.extraMovesText.setText(held > 0 ? `+${GAME_CONFIG.SHOP_EXTRA_MOVES} (${held})` : '');
+    scene.extraMovesText.setVisible(held > 0 && GameModes.hasMoveLimit(scene));
+}
+
+/**
+ * Spend one Extra Moves to raise this puzzle's move limit
+ * @returns {boolean} False if none are held
+ */
+function useExtraMoves(scene) {
+    if (!InventorySystem.remove('extra_moves')) return false;
+    
+    GAME_CONFIG.MAX_MOVES += GAME_CONFIG.SHOP_EXTRA_MOVES;
+    updateMoveText(scene);
+    updateExtraMovesButton(scene);
+    GameEvents.emit(GameEvents.EVENTS.STATE_CHANGED, { keys: ['inventory'], state: GameState });
+    return true;
 }
 
 // =============================================================================
@@ -1195,11 +6709,11 @@ function triggerFailState(scene) {
 // =============================================================================
 
 function createResetButton(scene) {
-    const button = scene.add.rectangle(225, 665, 150, 40, 0xFF6B6B);
+    const button = scene.add.rectangle(145, 665, 150, 40, 0xFF6B6B);
     button.setStrokeStyle(3, 0x000000);
     button.setInteractive({ useHandCursor: true });
 
-    const buttonText = scene.add.text(225, 665, 'RESET', {
+    const buttonText = scene.add.text(145, 665, 'RESET', {
         fontSize: '20px',
         fontWeight: 'bold',
         fill: '#FFF'
@@ -1222,18 +6736,43 @@ function resetPuzzle(scene) {
     scene.ratingText.setVisible(false);
     scene.failText.setVisible(false);
     
-    tiles.forEach(tile => {
+    scene.tiles.forEach(tile => {
         tile.background.setAlpha(1);
     });
     
-    moveCount = 0;
+    scene.board.moveCount = 0;
     isWon = false;
     hasFailed = false;
-    scene.moveText.setText(`Moves: 0 / ${GAME_CONFIG.MAX_MOVES}`);
+    hintsUsed = 0;
+    scene.hintText.setVisible(false);
+    updateMoveText(scene);
     
     ShuffleSystem.performAnimatedShuffle(scene);
 }
 
+// =============================================================================
+// GAME BOOTSTRAP
+// =============================================================================
+
+// Created last: scene classes are not hoisted
+const config = {
+    type: Phaser.AUTO,
+    width: GAME_CONFIG.CANVAS_WIDTH,
+    height: GAME_CONFIG.CANVAS_HEIGHT,
+    parent: 'game-container',
+    backgroundColor: '#2c1810',
+    scene: [BootScene, TitleScene, SettingsScene, RecipeSelectScene, FeedingPuzzleScene, DungeonScene, CombatScene, ShopScene, DeliCounterScene, ResultsScene, ReplayScene],
+    input: {
+        gamepad: true
+    },
+    scale: {
+        mode: Phaser.Scale.FIT,
+        autoCenter: Phaser.Scale.CENTER_BOTH
+    }
+};
+
+const game = new Phaser.Game(config);
+
 // =============================================================================
 // PHASE 1.6 COMPLETE - MODULAR ARCHITECTURE READY FOR PHASE 2
 // =============================================================================
@@ -1243,28 +6782,65 @@ function resetPuzzle(scene) {
  * 
  * ✅ SHARED SYSTEMS (Reusable across scenes):
  * - GameState: Cross-scene data persistence
- * - RecipeSystem: Recipe management and configuration
- * - GridManager: Grid creation, tiles, movement, win detection
- * - ShuffleSystem: Animated shuffle with no-backtracking
+ * - SaveSystem: localStorage save slots with versioned migrations
+ * - DungeonSystem: Runs, floor maps (feeding, combat, shop, rest), gold and defeat
+ * - CombatSystem: Ability-tile fight rules (lines fire attack/block/heal, enemy turns)
+ * - PetSystem: Hunger/stamina needs, feeding and penalties
+ * - InventorySystem: Ingredient and consumable stacks, recipe costs and combat loot
+ * - ShopSystem: Floor-scaled catalog (ingredients, hint tokens, extra moves, undo charges, snacks)
+ * - DeliCounter: Customer queue with patience and tips; orders pay by rating and patience left
+ * - BuffSystem: Rating-scaled recipe buffs with durations, stacking and caps
+ * - RecipeSystem: Recipe management, unlocks, configuration and validated JSON packs
+ * - PuzzleBoard: Headless board rules, legal moves, win detection (DD-puzzle-core.js)
+ * - MoveHistory: Headless undo/redo stacks (DD-puzzle-core.js)
+ * - ReplayLog / SeededRandom: Headless replays and seeded scrambles (DD-puzzle-core.js)
+ * - ReplaySystem: Records feeding puzzles, keeps recent replays, JSON export/import
+ * - GameRandom: Seeded session stream for all gameplay randomness; per-puzzle shuffle seeds
+ * - DailySpecial: Date-picked recipe and scramble shared by every player
+ * - GameModes: Classic move limit, Time Attack, Rush Hour and Zen, each with its own rating
+ * - AccessibilitySettings: Colorblind palette, tile patterns, reduced motion, large text,
+ *   ARIA live announcements (index.html #a11y-live)
+ * - GridManager: Renders a PuzzleBoard, tile input and movement animation
+ * - ShuffleSystem: Animated shuffle to a depth-targeted scramble
  * 
  * ✅ EVENT HOOKS (Scene communication):
- * - onPuzzleComplete(recipe, moves, rating)
- * - onPuzzleFail()
+ * - onPuzzleComplete(recipe, moves, rating, details)
+ * - onPuzzleFail(recipe, moves, details)
+ *   (details.combat marks a fight: bounty instead of meal, buffs and ratings;
+ *   details.counter a deli counter order: the customer pays instead of the rating gold)
+ * - GameEvents.on/once/off: puzzle:start, tile:moved, puzzle:complete,
+ *   puzzle:fail, recipe:changed, state:changed
+ * 
+ * ✅ SCENES (switchScene flow):
+ * - BootScene -> TitleScene -> RecipeSelectScene -> FeedingPuzzleScene -> ResultsScene
+ * - Rush Hour: FeedingPuzzleScene -> FeedingPuzzleScene (next order) ... -> ResultsScene
+ * - TitleScene -> DungeonScene -> FeedingPuzzleScene -> ResultsScene -> DungeonScene
+ * - DungeonScene -> CombatScene -> ResultsScene -> DungeonScene
+ * - TitleScene/DungeonScene -> ShopScene -> back
+ * - ResultsScene -> ReplayScene (pause/step/speed playback) -> ResultsScene
+ * - TitleScene -> SettingsScene (accessibility) -> TitleScene
+ * - TitleScene -> DeliCounterScene -> FeedingPuzzleScene -> ResultsScene -> DeliCounterScene
  * 
  * ✅ UTILITIES:
  * - switchScene(scene, targetKey, data)
  * - applyRecipeConfig(recipe)
+ * - requestHint(scene): PuzzleSolver next move within the move budget
+ * - requestUndo/requestRedo(scene): Animated MoveHistory steps (cost per getUndoMode)
+ * - setupPuzzleInput(scene): Arrow keys/WASD, swipes and gamepad d-pad (slideInDirection);
+ *   clicks further along a line shift the row/column (GridManager.slideLine)
  * 
  * ✅ DEBUG TOOLS:
  * - Recipe cycling (R key)
  * - Console logging
  * - Debug mode toggle
+ * - Puzzle/session seeds on the overlay, DEBUG_PUZZLE_SEED / RANDOM_SEED to reproduce them
  * 
  * 🎯 PHASE 2 INTEGRATION POINTS:
- * - Combat scene can reuse GridManager for ability tiles
- * - Event hooks trigger scene transitions
- * - GameState.petStats tracks combat health/buffs
- * - RecipeSystem provides buff data for combat modifiers
+ * - GridManager.createGrid options (sequence, tileSource, showOrder) + scene.onPlayerMove
+ *   let other tile puzzles reuse the grid (CombatScene ability tiles)
+ * - Scenes subscribe to GameEvents to trigger transitions
+ * - GameState.petStats tracks combat health, BuffSystem.getEffectiveStats() adds buffs
+ * - BuffSystem.tick('turns' | 'floors') expires combat and dungeon buffs
  * 
  * 🔒 SAFETY:
  * - No single-point-of-failure coupling
@@ -0,0 +1,498 @@
+/**
+ * DUNGEON DELI - PUZZLE CORE TESTS
+ * Headless checks for DD-puzzle-core.js, no Phaser or test runner needed
+ *
+ * RUN: node tests/puzzle-core.test.js  (exits non-zero if any test fails)
+ *
+ * Each section covers one module of the core, in the order the core defines them.
+ */
+
+const assert = require('assert');
+const { PuzzleBoard, PuzzleSolver, ScrambleGenerator, MoveHistory, SeededRandom, ReplayLog } = require('../DD-puzzle-core.js');
+
+const results = { passed: 0, failed: 0 };
+
+/**
+ * Run one named check and report it
+ * @param {string} name - Shown in the output
+ * @param {function} check - Throws (assert) on failure
+ */
+function test(name, check) {
+    try {
+        check();
+        results.passed++;
+        console.log(`  ok    ${name}`);
+    } catch (error) {
+        results.failed++;
+        console.log(`  FAIL  ${name}\n        ${error.message}`);
+    }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Apply moves { row, col, to } to a board without counting them
+ * @returns {boolean} True if every move was legal
+ */
+function play(board, moves) {
+    return moves.every(move => PuzzleBoard.applyMove(board, move.row, move.col, false, move.to) !== null);
+}
+
+/**
+ * Shortest solution length by breadth-first search over every reachable grid
+ * @param {object} board - Board to solve (not mutated)
+ * @returns {number} Moves needed, or -1 if the solved layout is unreachable
+ */
+function bfsDistance(board) {
+    const start = PuzzleBoard.clone(board);
+    if (PuzzleBoard.isSolved(start)) return 0;
+
+    const seen = new Set([start.grid.flat().join(',')]);
+    let frontier = [start];
+
+    for (let depth = 1; frontier.length > 0; depth++) {
+        const next = [];
+        for (const current of frontier) {
+            for (const move of PuzzleBoard.getLegalMoves(current)) {
+                const child = PuzzleBoard.clone(current);
+                play(child, [move]);
+
+                const key = child.grid.flat().join(',');
+                if (seen.has(key)) continue;
+                if (PuzzleBoard.isSolved(child)) return depth;
+
+                seen.add(key);
+                next.push(child);
+            }
+        }
+        frontier = next;
+    }
+
+    return -1;
+}
+
+/**
+ * Seeded scrambles of a solved board, one per walk length
+ * @param {object} solved - Board in its solved state
+ * @param {array} lengths - Random walk lengths
+ * @param {number} seed - Random seed
+ * @returns {array} Scrambled boards
+ */
+function scrambles(solved, lengths, seed) {
+    const rng = SeededRandom.create(seed);
+    return lengths.map(length => {
+        const board = PuzzleBoard.clone(solved);
+        ScrambleGenerator.randomWalk(board, length, rng);
+        return board;
+    });
+}
+
+/**
+ * Check that solve() is as short as BFS and really solves the board
+ */
+function assertOptimal(board) {
+    const solution = PuzzleSolver.solve(board);
+    assert.ok(solution, `no solution for ${JSON.stringify(board.grid)}`);
+    assert.strictEqual(solution.length, bfsDistance(board), `not optimal for ${JSON.stringify(board.grid)}`);
+
+    const played = PuzzleBoard.clone(board);
+    assert.ok(play(played, solution), 'illegal move in solution');
+    assert.ok(PuzzleBoard.isSolved(played), 'solution does not solve the board');
+}
+
+/**
+ * A short valid replay: two recorded slides and an undo from a known start board
+ */
+function buildReplay() {
+    const board = PuzzleBoard.create(3);
+    const replay = ReplayLog.create(board, { recipeId: 'test', seed: 1 });
+
+    [{ row: 2, col: 1, to: { row: 2, col: 2 } }, { row: 1, col: 1, to: { row: 2, col: 1 } }].forEach((move, index) => {
+        ReplayLog.record(replay, move, index * 100);
+    });
+    ReplayLog.record(replay, { row: 2, col: 1, to: { row: 1, col: 1 } }, 250, 'undo');
+    return replay;
+}
+
+/**
+ * fromJSON on the test replay with its moves swapped out
+ */
+function parseWithMoves(moves) {
+    return ReplayLog.fromJSON(JSON.stringify({ ...buildReplay(), moves: moves }));
+}
+
+// =============================================================================
+// PUZZLE BOARD
+// =============================================================================
+
+console.log('PuzzleBoard');
+
+test('a new board is solved with no moves counted', () => {
+    const board = PuzzleBoard.create(3);
+    assert.deepStrictEqual(board.grid, [[1, 2, 3], [4, 5, 6], [7, 8, PuzzleBoard.EMPTY]]);
+    assert.strictEqual(board.moveCount, 0);
+    assert.ok(PuzzleBoard.isSolved(board));
+});
+
+test('only tiles next to the hole can move', () => {
+    const board = PuzzleBoard.create(3);
+    assert.deepStrictEqual(PuzzleBoard.getLegalMoves(board), [
+        { row: 1, col: 2, to: { row: 2, col: 2 } },
+        { row: 2, col: 1, to: { row: 2, col: 2 } }
+    ]);
+    assert.ok(!PuzzleBoard.canMove(board, 0, 0));
+    assert.strictEqual(PuzzleBoard.applyMove(board, 0, 0), null);
+    assert.ok(PuzzleBoard.isSolved(board));
+});
+
+test('applyMove slides the tile and only counts player moves', () => {
+    const board = PuzzleBoard.create(3);
+    const move = PuzzleBoard.applyMove(board, 2, 1, true);
+
+    assert.deepStrictEqual(move, { tileId: 8, from: { row: 2, col: 1 }, to: { row: 2, col: 2 } });
+    assert.deepStrictEqual(board.grid[2], [7, PuzzleBoard.EMPTY, 8]);
+    assert.strictEqual(board.moveCount, 1);
+    assert.ok(!PuzzleBoard.isSolved(board));
+
+    PuzzleBoard.applyMove(board, 2, 2, false);
+    assert.ok(PuzzleBoard.isSolved(board));
+    assert.strictEqual(board.moveCount, 1);
+});
+
+test('a clone can be played without touching the original', () => {
+    const board = PuzzleBoard.create(3);
+    const copy = PuzzleBoard.clone(board);
+
+    PuzzleBoard.applyMove(copy, 1, 2, true);
+    assert.ok(PuzzleBoard.isSolved(board));
+    assert.strictEqual(board.moveCount, 0);
+    assert.ok(!PuzzleBoard.isSolved(copy));
+});
+
+test('a board with several holes is solved only with every hole in place', () => {
+    const board = PuzzleBoard.create(3, ['bread', 'cheese', 'patty', 'lettuce', 'bread']);
+    assert.strictEqual(PuzzleBoard.getHoles(board).length, 4);
+    assert.ok(PuzzleBoard.isSolved(board));
+
+    const move = PuzzleBoard.applyMove(board, 1, 1, true);
+    assert.ok(move, 'tile next to a hole should move');
+    assert.ok(!PuzzleBoard.isSolved(board));
+
+    PuzzleBoard.applyMove(board, move.to.row, move.to.col, true, move.from);
+    assert.ok(PuzzleBoard.isSolved(board));
+    assert.strictEqual(board.moveCount, 2);
+});
+
+test('every hole next to a tile is a legal destination', () => {
+    const board = PuzzleBoard.create(3, ['bread', 'cheese', 'patty', 'lettuce', 'bread']);
+    const holes = PuzzleBoard.getAdjacentHoles(board, 1, 1);
+
+    assert.deepStrictEqual(holes, [{ row: 2, col: 1 }, { row: 1, col: 2 }]);
+    holes.forEach(hole => assert.ok(PuzzleBoard.canMove(board, 1, 1, hole)));
+    assert.ok(!PuzzleBoard.canMove(board, 1, 1, { row: 0, col: 0 }));
+});
+
+test('copies of the same ingredient are interchangeable', () => {
+    const board = PuzzleBoard.create(3, ['cheese', 'patty', 'cheese']);
+
+    // The left cheese walks round to the right cell, then the right one to the left
+    const slides = [
+        [0, 2, 1, 2], [1, 2, 2, 2],
+        [0, 0, 1, 0], [1, 0, 1, 1], [1, 1, 1, 2], [1, 2, 0, 2],
+        [2, 2, 2, 1], [2, 1, 2, 0], [2, 0, 1, 0]
+    ];
+    slides.forEach(([row, col, toRow, toCol]) => {
+        assert.ok(PuzzleBoard.applyMove(board, row, col, true, { row: toRow, col: toCol }));
+        assert.ok(!PuzzleBoard.isSolved(board));
+    });
+
+    PuzzleBoard.applyMove(board, 1, 0, true, { row: 0, col: 0 });
+    assert.ok(PuzzleBoard.isSolved(board));
+
+    // Any cell holding the wrong id is not a win
+    [board.grid[0][0], board.grid[0][1]] = [board.grid[0][1], board.grid[0][0]];
+    assert.ok(!PuzzleBoard.isSolved(board));
+});
+
+test('getMoveInDirection picks the tile on the far side of a hole', () => {
+    const board = PuzzleBoard.create(3);
+
+    assert.deepStrictEqual(PuzzleBoard.getMoveInDirection(board, 0, 1), { row: 2, col: 1, to: { row: 2, col: 2 } });
+    assert.deepStrictEqual(PuzzleBoard.getMoveInDirection(board, 1, 0), { row: 1, col: 2, to: { row: 2, col: 2 } });
+    assert.strictEqual(PuzzleBoard.getMoveInDirection(board, 0, -1), null);
+    assert.strictEqual(PuzzleBoard.getMoveInDirection(board, -1, 0), null);
+});
+
+test('getLineSlide shifts every tile between the clicked one and the hole', () => {
+    const board = PuzzleBoard.create(3);
+
+    assert.deepStrictEqual(PuzzleBoard.getLineSlide(board, 2, 0), [
+        { row: 2, col: 1, to: { row: 2, col: 2 } },
+        { row: 2, col: 0, to: { row: 2, col: 1 } }
+    ]);
+    assert.deepStrictEqual(PuzzleBoard.getLineSlide(board, 0, 2), [
+        { row: 1, col: 2, to: { row: 2, col: 2 } },
+        { row: 0, col: 2, to: { row: 1, col: 2 } }
+    ]);
+    assert.strictEqual(PuzzleBoard.getLineSlide(board, 0, 0), null);
+    assert.strictEqual(PuzzleBoard.getLineSlide(board, 2, 2), null);
+
+    assert.ok(play(board, PuzzleBoard.getLineSlide(board, 2, 0)));
+    assert.deepStrictEqual(board.grid[2], [PuzzleBoard.EMPTY, 7, 8]);
+});
+
+test('getLineSlide heads for the nearest hole in line', () => {
+    const board = PuzzleBoard.create(4, ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm']);
+    board.grid[0][0] = PuzzleBoard.EMPTY;
+    board.grid[3][0] = PuzzleBoard.EMPTY;
+
+    // (2, 0) has the hole below it one step away and the one above two steps away
+    assert.deepStrictEqual(PuzzleBoard.getLineSlide(board, 2, 0), [{ row: 2, col: 0, to: { row: 3, col: 0 } }]);
+});
+
+// =============================================================================
+// SOLVER
+// =============================================================================
+
+console.log('PuzzleSolver');
+
+test('classic 3x3 scrambles are solved in the BFS minimum', () => {
+    scrambles(PuzzleBoard.create(3), [1, 2, 4, 6, 8, 10, 12, 14, 16, 18], 11).forEach(assertOptimal);
+});
+
+test('3x3 recipes with duplicates and two holes are solved in the BFS minimum', () => {
+    const recipe = PuzzleBoard.create(3, ['bread', 'cheese', 'patty', 'cheese', 'lettuce', 'bread', 'tomato']);
+    scrambles(recipe, [1, 3, 5, 7, 9, 11, 13], 23).forEach(assertOptimal);
+});
+
+test('a solved board needs no moves', () => {
+    assert.deepStrictEqual(PuzzleSolver.solve(PuzzleBoard.create(3)), []);
+    assert.strictEqual(PuzzleSolver.getNextMove(PuzzleBoard.create(3)), null);
+});
+
+test('no solution is returned past maxDepth', () => {
+    const [board] = scrambles(PuzzleBoard.create(3), [12], 3);
+    const depth = bfsDistance(board);
+
+    assert.strictEqual(PuzzleSolver.solve(board, { maxDepth: depth - 1 }), null);
+    assert.strictEqual(PuzzleSolver.solve(board, { maxDepth: depth }).length, depth);
+});
+
+test('findSolution tells a node-limit abort from no solution in range', () => {
+    const [board] = scrambles(PuzzleBoard.create(3), [16], 5);
+    const depth = bfsDistance(board);
+
+    assert.strictEqual(PuzzleSolver.findSolution(board, { maxDepth: depth - 1 }).reason, 'noSolution');
+    assert.strictEqual(PuzzleSolver.findSolution(board, { nodeLimit: 1 }).reason, 'nodeLimit');
+    assert.strictEqual(PuzzleSolver.findSolution(board, { maxDepth: depth }).moves.length, depth);
+});
+
+// =============================================================================
+// SCRAMBLE GENERATOR
+// =============================================================================
+
+console.log('ScrambleGenerator');
+
+test('scrambles land in [minDepth, maxDepth] with the solver\'s optimalMoves', () => {
+    [[1, 3], [5, 8], [10, 12], [14, 16]].forEach(([minDepth, maxDepth]) => {
+        for (let depth = 0; depth < 4; depth++) {
+            const result = ScrambleGenerator.generate(PuzzleBoard.create(3), { minDepth, maxDepth, rng: SeededRandom.create(depth) });
+
+            assert.ok(result.optimalMoves >= minDepth && result.optimalMoves <= maxDepth,
+                `${result.optimalMoves} not in [${minDepth}, ${maxDepth}]`);
+            assert.strictEqual(PuzzleSolver.solve(result.board).length, result.optimalMoves);
+            assert.strictEqual(bfsDistance(result.board), result.optimalMoves);
+        }
+    });
+});
+
+test('the scramble path leads from the solved board to the scramble', () => {
+    const solved = PuzzleBoard.create(3);
+    const result = ScrambleGenerator.generate(solved, { minDepth: 8, maxDepth: 12, rng: SeededRandom.create(7) });
+    const replayed = PuzzleBoard.clone(solved);
+
+    assert.ok(PuzzleBoard.isSolved(solved), 'generate must not touch the board it is given');
+    assert.ok(play(replayed, result.path), 'illegal move in the scramble path');
+    assert.deepStrictEqual(replayed.grid, result.board.grid);
+});
+
+test('recipe scrambles with duplicates still report a true optimum', () => {
+    const recipe = PuzzleBoard.create(3, ['bread', 'cheese', 'patty', 'cheese', 'lettuce', 'bread', 'tomato']);
+    const result = ScrambleGenerator.generate(recipe, { minDepth: 6, maxDepth: 9, rng: SeededRandom.create(13) });
+
+    assert.ok(result.optimalMoves >= 6 && result.optimalMoves <= 9);
+    assert.strictEqual(bfsDistance(result.board), result.optimalMoves);
+});
+
+// =============================================================================
+// MOVE HISTORY
+// =============================================================================
+
+console.log('MoveHistory');
+
+test('undo and redo walk back and forth through the recorded moves', () => {
+    const board = PuzzleBoard.create(3);
+    const history = MoveHistory.create();
+    MoveHistory.record(history, PuzzleBoard.applyMove(board, 2, 1, true));
+    MoveHistory.record(history, PuzzleBoard.applyMove(board, 1, 1, true));
+    const scrambled = board.grid.map(row => [...row]);
+
+    const undo = MoveHistory.undo(history);
+    assert.deepStrictEqual(undo, { moves: [{ row: 2, col: 1, to: { row: 1, col: 1 } }], counted: 1 });
+    assert.ok(play(board, undo.moves));
+    assert.ok(MoveHistory.canRedo(history));
+
+    const redo = MoveHistory.redo(history);
+    assert.deepStrictEqual(redo, { moves: [{ row: 1, col: 1, to: { row: 2, col: 1 } }], counted: 1 });
+    assert.ok(play(board, redo.moves));
+    assert.deepStrictEqual(board.grid, scrambled);
+
+    const summary = MoveHistory.getSummary(history);
+    assert.strictEqual(summary.moves, 2);
+    assert.strictEqual(summary.undos, 1);
+    assert.strictEqual(summary.redos, 1);
+    assert.deepStrictEqual(summary.path, [
+        { row: 2, col: 1, to: { row: 2, col: 2 } },
+        { row: 1, col: 1, to: { row: 2, col: 1 } }
+    ]);
+});
+
+test('a new move drops everything that could be redone', () => {
+    const board = PuzzleBoard.create(3);
+    const history = MoveHistory.create();
+    MoveHistory.record(history, PuzzleBoard.applyMove(board, 2, 1, true));
+    MoveHistory.undo(history);
+    assert.ok(MoveHistory.canRedo(history));
+
+    MoveHistory.record(history, PuzzleBoard.applyMove(board, 2, 0, true));
+    assert.ok(!MoveHistory.canRedo(history));
+    assert.strictEqual(MoveHistory.redo(history), null);
+
+    MoveHistory.undo(history);
+    assert.ok(!MoveHistory.canUndo(history));
+    assert.strictEqual(MoveHistory.undo(history), null);
+});
+
+test('a line slide is undone and redone in one step', () => {
+    const board = PuzzleBoard.create(3);
+    const history = MoveHistory.create();
+    const slide = PuzzleBoard.getLineSlide(board, 2, 0).map(move =>
+        PuzzleBoard.applyMove(board, move.row, move.col, true, move.to));
+    MoveHistory.record(history, slide, 1);
+
+    const undo = MoveHistory.undo(history);
+    assert.strictEqual(undo.counted, 1);
+    assert.deepStrictEqual(undo.moves, [
+        { row: 2, col: 1, to: { row: 2, col: 0 } },
+        { row: 2, col: 2, to: { row: 2, col: 1 } }
+    ]);
+    assert.ok(play(board, undo.moves));
+    assert.ok(PuzzleBoard.isSolved(board));
+    assert.ok(!MoveHistory.canUndo(history));
+
+    const redo = MoveHistory.redo(history);
+    assert.strictEqual(redo.counted, 1);
+    assert.ok(play(board, redo.moves));
+    assert.deepStrictEqual(board.grid[2], [PuzzleBoard.EMPTY, 7, 8]);
+    assert.strictEqual(MoveHistory.getSummary(history).moves, 2);
+});
+
+test('counted defaults to one per move and can be zero', () => {
+    const board = PuzzleBoard.create(3);
+    const history = MoveHistory.create();
+    const slide = PuzzleBoard.getLineSlide(board, 0, 2).map(move =>
+        PuzzleBoard.applyMove(board, move.row, move.col, true, move.to));
+
+    MoveHistory.record(history, slide);
+    assert.strictEqual(MoveHistory.undo(history).counted, 2);
+
+    MoveHistory.record(history, PuzzleBoard.applyMove(board, 0, 1, true), 0);
+    assert.strictEqual(MoveHistory.undo(history).counted, 0);
+});
+
+// =============================================================================
+// SEEDED RANDOM
+// =============================================================================
+
+console.log('SeededRandom');
+
+test('the same seed gives the same numbers, in [0, 1)', () => {
+    const first = SeededRandom.create(42);
+    const second = SeededRandom.create(42);
+    const other = SeededRandom.create(43);
+
+    const values = Array.from({ length: 50 }, () => first());
+    assert.deepStrictEqual(Array.from({ length: 50 }, () => second()), values);
+    assert.notDeepStrictEqual(Array.from({ length: 50 }, () => other()), values);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+});
+
+test('the same text gives the same seed', () => {
+    assert.strictEqual(SeededRandom.seedFromString('2026-10-19'), SeededRandom.seedFromString('2026-10-19'));
+    assert.notStrictEqual(SeededRandom.seedFromString('2026-10-19'), SeededRandom.seedFromString('2026-10-20'));
+});
+
+test('the same seed gives the same scramble', () => {
+    const scramble = seed => ScrambleGenerator.generate(PuzzleBoard.create(4),
+        { minDepth: 10, maxDepth: 14, rng: SeededRandom.create(seed) });
+
+    const first = scramble(2026);
+    const second = scramble(2026);
+    assert.deepStrictEqual(second.board.grid, first.board.grid);
+    assert.deepStrictEqual(second.path, first.path);
+    assert.strictEqual(second.optimalMoves, first.optimalMoves);
+    assert.notDeepStrictEqual(scramble(2027).board.grid, first.board.grid);
+});
+
+// =============================================================================
+// REPLAY LOG
+// =============================================================================
+
+console.log('ReplayLog');
+
+test('a recorded replay survives toJSON/fromJSON', () => {
+    const replay = buildReplay();
+    const parsed = ReplayLog.fromJSON(ReplayLog.toJSON(replay));
+
+    assert.deepStrictEqual(parsed, replay);
+    assert.strictEqual(ReplayLog.getMove(parsed, 2).kind, 'undo');
+});
+
+test('text that is not a replay is rejected', () => {
+    ['', 'not json', 'null', '5', '"replay"', '[]', '{}'].forEach(text => {
+        assert.strictEqual(ReplayLog.fromJSON(text), null, `accepted ${JSON.stringify(text)}`);
+    });
+    assert.strictEqual(ReplayLog.fromJSON(JSON.stringify({ ...buildReplay(), v: 99 })), null);
+    assert.strictEqual(ReplayLog.fromJSON(JSON.stringify({ ...buildReplay(), size: 2.5 })), null);
+    assert.strictEqual(ReplayLog.fromJSON(JSON.stringify({ ...buildReplay(), start: [1, 2, 3] })), null);
+});
+
+test('malformed move entries are rejected, not thrown on', () => {
+    const malformed = [
+        [null],
+        [[0]],
+        [[0, 0.5, 0, 0, 1]],
+        [['a']],
+        [[0, 2, 1, 2, 2, 'x']],
+        [[0, 2, 1, 2, 2, 'r', 'extra']],
+        [[-5, 2, 1, 2, 2]],
+        [[0, 2, 1, 2, 3]],
+        [[0, '2', 1, 2, 2]],
+        ['0,2,1,2,2']
+    ];
+    malformed.forEach(moves => {
+        assert.doesNotThrow(() => parseWithMoves(moves));
+        assert.strictEqual(parseWithMoves(moves), null, `accepted ${JSON.stringify(moves)}`);
+    });
+});
+
+test('illegal slides from the start board are rejected', () => {
+    assert.strictEqual(parseWithMoves([[0, 0, 0, 2, 2]]), null);
+    assert.strictEqual(parseWithMoves([[0, 2, 1, 2, 2], [10, 2, 1, 2, 2]]), null);
+    assert.ok(parseWithMoves([[0, 2, 1, 2, 2], [10, 2, 2, 2, 1, 'u']]));
+});
+
+console.log(`\n${results.passed} passed, ${results.failed} failed`);
+if (results.failed > 0) process.exitCode = 1;